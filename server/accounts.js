@@ -0,0 +1,61 @@
+// Account fields and rules shared by sign-up, the profile screen and the admin account tools.
+// Besides username/fullName/roles/passwordHash an account may carry
+//   disabled, disabledAt, disabledBy, disabledReason   set by staff; disabled accounts can't sign in
+//   mustChangePassword                                 set when staff reset the password
+//   passwordChangedAt, lastLoginAt
+// Deleting an account removes it; what it leaves behind (orders, feedback) is kept under
+// DELETED_NAME so the shop's history stays intact.
+
+const crypto = require('crypto');
+
+const PASSWORD_MIN = 4;
+const PASSWORD_MAX = 200;
+const NAME_MAX = 60;
+const DELETED_NAME = 'Deleted account';
+
+// Error string for an unacceptable password, or null
+function passwordProblem(password) {
+  if (!password || typeof password !== 'string' || password.length < PASSWORD_MIN) {
+    return `Password required (min length ${PASSWORD_MIN})`;
+  }
+  if (password.length > PASSWORD_MAX) return `Password can be at most ${PASSWORD_MAX} characters`;
+  return null;
+}
+
+// Returns { fullName } or { error }
+function normalizeFullName(raw) {
+  const fullName = typeof raw === 'string' ? raw.trim() : '';
+  if (fullName.length < 2) return { error: 'Full name required (at least 2 characters)' };
+  if (fullName.length > NAME_MAX) return { error: `Full name can be at most ${NAME_MAX} characters` };
+  return { fullName };
+}
+
+// One-time password handed out by staff after a reset
+function temporaryPassword() {
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+// What staff see in the account list
+function accountSummary(acc) {
+  return {
+    username: acc.username,
+    fullName: acc.fullName || '',
+    roles: acc.roles || [],
+    createdAt: acc.createdAt || null,
+    lastLoginAt: acc.lastLoginAt || null,
+    disabled: !!acc.disabled,
+    disabledAt: acc.disabledAt || null,
+    disabledBy: acc.disabledBy || null,
+    disabledReason: acc.disabledReason || '',
+    mustChangePassword: !!acc.mustChangePassword
+  };
+}
+
+module.exports = {
+  PASSWORD_MIN,
+  DELETED_NAME,
+  passwordProblem,
+  normalizeFullName,
+  temporaryPassword,
+  accountSummary
+};
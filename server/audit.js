@@ -0,0 +1,132 @@
+// Audit log of privileged actions.
+// Every successful POST under /api/admin and /api/employee is recorded, and so is staff acting
+// on somebody else's order through the buyer routes (canceling it, moving its pickup slot, ...).
+// Entries are only ever appended, to store.auditLog, as
+//   { id, at, actor, ip, action, label, target: { type, id, name } | null,
+//     before, after, details }
+// action is the route ('admin/update-stock'); before/after hold the target's fields that changed
+// (the whole target when it was created or deleted, null without a target); details is the
+// request body without passwords, plus anything the route added (res.locals.audit.details).
+
+const accounts = require('./accounts');
+const pickupSlots = require('./pickupSlots');
+
+// What each target type is stored in and how it is named in the log
+const TARGETS = {
+  order: { collection: 'orders', name: o => `#${o.id} ${o.buyerName || o.username || ''}`.trim() },
+  item: { collection: 'items', name: i => i.name },
+  pickupSlot: { collection: 'pickupSlots', name: s => pickupSlots.slotLabel(s) },
+  commission: { collection: 'commissions', name: c => `#${c.id} ${c.buyerName || c.username || ''}`.trim() },
+  feedback: { collection: 'feedback', name: f => `#${f.id} from ${f.name}` },
+  review: { collection: 'reviews', name: r => `#${r.id} by ${r.name}` },
+  promotion: { collection: 'promotions', name: p => p.code ? `${p.name} (${p.code})` : p.name },
+  category: { collection: 'categories', name: c => c.name },
+  account: { collection: 'accounts', key: 'username', name: a => a.username },
+  role: { collection: 'roles', key: 'name', name: r => r.name }
+};
+
+// Audited routes ("METHOD /path" relative to /api): a label, and the target named by a body
+// field (`field`) or, for routes that create it, by the response (`result`).
+// buyerRoute: also open to buyers, so only recorded when the order isn't the caller's own.
+// Admin and employee POSTs missing here are still recorded, under their path.
+const ACTIONS = {
+  'POST /employee/packing': { label: 'Pack order', target: 'order', field: 'orderId' },
+  'POST /employee/order-status': { label: 'Change order status (workspace)', target: 'order', field: 'orderId' },
+  'POST /employee/stock-count': { label: 'Record stock count' },
+  'POST /admin/update-stock': { label: 'Update stock', target: 'item', field: 'itemId' },
+  'POST /admin/update-arrival': { label: 'Schedule arrival', target: 'order', field: 'orderId' },
+  'POST /admin/record-payment': { label: 'Record payment', target: 'order', field: 'orderId' },
+  'POST /admin/order-status': { label: 'Change order status', target: 'order', field: 'orderId' },
+  'POST /admin/save-pickup-slot': { label: 'Save pickup slot', target: 'pickupSlot', field: 'id', result: 'slot' },
+  'POST /admin/delete-pickup-slot': { label: 'Delete pickup slot', target: 'pickupSlot', field: 'id' },
+  'POST /admin/assign-slots': { label: 'Assign pickup slots' },
+  'POST /admin/create-item': { label: 'Create item', target: 'item', result: 'item' },
+  'POST /admin/update-item': { label: 'Update item', target: 'item', field: 'itemId' },
+  'POST /admin/item-options': { label: 'Change item options', target: 'item', field: 'itemId' },
+  'POST /admin/update-variant': { label: 'Update variant', target: 'item', field: 'itemId' },
+  'POST /admin/takedown-item': { label: 'Take down item', target: 'item', field: 'itemId' },
+  'POST /admin/commission-quote': { label: 'Quote commission', target: 'commission', field: 'commissionId' },
+  'POST /admin/commission-status': { label: 'Change commission status', target: 'commission', field: 'commissionId' },
+  'POST /admin/feedback-update': { label: 'Update feedback', target: 'feedback', field: 'feedbackId' },
+  'POST /admin/feedback-reply': { label: 'Reply to feedback', target: 'feedback', field: 'feedbackId' },
+  'POST /admin/review-visibility': { label: 'Hide/show review', target: 'review', field: 'reviewId' },
+  'POST /admin/review-response': { label: 'Respond to review', target: 'review', field: 'reviewId' },
+  'POST /admin/delete-review': { label: 'Delete review', target: 'review', field: 'reviewId' },
+  'POST /admin/save-promotion': { label: 'Save promotion', target: 'promotion', field: 'id', result: 'promotion' },
+  'POST /admin/delete-promotion': { label: 'Delete promotion', target: 'promotion', field: 'id' },
+  'POST /admin/save-category': { label: 'Save category', target: 'category', field: 'id', result: 'category' },
+  'POST /admin/delete-category': { label: 'Delete category', target: 'category', field: 'id' },
+  'POST /admin/reset-password': { label: 'Reset password', target: 'account', field: 'username' },
+  'POST /admin/disable-account': { label: 'Disable/enable account', target: 'account', field: 'username' },
+  'POST /admin/clear-lockout': { label: 'Clear lockout' },
+  'POST /admin/save-role': { label: 'Save role', target: 'role', field: 'name', result: 'role' },
+  'POST /admin/delete-role': { label: 'Delete role', target: 'role', field: 'name' },
+  'POST /admin/grant-role': { label: 'Grant role', target: 'account', field: 'username' },
+  'POST /admin/revoke-role': { label: 'Revoke role', target: 'account', field: 'username' },
+  'POST /cancel-order': { label: 'Cancel order', target: 'order', field: 'orderId', buyerRoute: true },
+  'POST /choose-slot': { label: 'Change pickup slot', target: 'order', field: 'orderId', buyerRoute: true },
+  'POST /pledge': { label: 'Change pledged cash', target: 'order', field: 'orderId', buyerRoute: true },
+  'POST /confirm-pickup': { label: 'Confirm pickup', target: 'order', field: 'orderId', buyerRoute: true }
+};
+
+// Body fields never written to the log
+const SECRET_FIELDS = ['password', 'newPassword', 'currentPassword', 'cancelToken'];
+// Target fields left out of before/after: secrets, bookkeeping that changes with everything, and
+// status logs (the status change itself shows up as `status`)
+const SKIPPED_FIELDS = ['passwordHash', 'cancelToken', 'cart', 'wishlist', 'updatedAt', 'statusHistory', 'history'];
+
+// The entry's ACTIONS row for a request, or null when the request isn't audited
+function actionFor(method, path) {
+  const key = `${method} ${path}`;
+  if (ACTIONS[key]) return { action: path.slice(1), ...ACTIONS[key] };
+  if (method === 'POST' && /^\/(admin|employee)\//.test(path)) return { action: path.slice(1), label: path.slice(1) };
+  return null;
+}
+
+// A copy of the target as it is logged (null when there is none)
+function snapshot(type, doc) {
+  if (!doc) return null;
+  const copy = JSON.parse(JSON.stringify(type === 'account' ? accounts.accountSummary(doc) : doc));
+  SKIPPED_FIELDS.forEach(k => delete copy[k]);
+  return copy;
+}
+
+// The fields that differ between two snapshots: { before, after }
+function diff(before, after) {
+  if (!before || !after) return { before, after };
+  const changed = { before: {}, after: {} };
+  new Set(Object.keys(before).concat(Object.keys(after))).forEach(k => {
+    const was = before[k] === undefined ? null : before[k];
+    const is = after[k] === undefined ? null : after[k];
+    if (JSON.stringify(was) === JSON.stringify(is)) return;
+    changed.before[k] = was;
+    changed.after[k] = is;
+  });
+  return changed;
+}
+
+// The request body as logged
+function details(body) {
+  const copy = { ...(body || {}) };
+  SECRET_FIELDS.forEach(k => { if (k in copy) copy[k] = '(hidden)'; });
+  return copy;
+}
+
+// Case-insensitive search over who, what and the target
+function matches(entry, query) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return true;
+  const target = entry.target ? `${entry.target.type} ${entry.target.id} ${entry.target.name}` : '';
+  return [entry.actor, entry.ip, entry.action, entry.label, target, JSON.stringify(entry.details || {})]
+    .join('\n').toLowerCase().includes(q);
+}
+
+module.exports = {
+  TARGETS,
+  ACTIONS,
+  actionFor,
+  snapshot,
+  diff,
+  details,
+  matches
+};
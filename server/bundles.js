@@ -0,0 +1,83 @@
+// Bundles.
+// A bundle is an item with type: 'bundle' and components [{ itemId, variantId, quantity }]
+// (quantity per bundle). It has its own price but no stock of its own: item.stock holds how
+// many complete bundles the components' stock allows, and is refreshed whenever a component's
+// stock changes (see refreshBundles in index.js). Ordering a bundle reserves the components'
+// stock, so the ledger only ever records component movements.
+// Helpers take getItem(id) so they work on whatever lookup the caller already has.
+const variants = require('./variants');
+
+const MAX_COMPONENTS = 10;
+
+function isBundle(item) {
+  return !!item && item.type === 'bundle';
+}
+
+// Validates [{ itemId, variantId?, quantity }] and merges repeats; returns { components } or { error }
+function normalizeComponents(raw, getItem, bundleId = null) {
+  let list = raw;
+  if (typeof list === 'string') {
+    try { list = JSON.parse(list); } catch (e) { return { error: 'components must be a JSON array' }; }
+  }
+  if (!Array.isArray(list) || !list.length) return { error: 'A bundle needs at least one component' };
+  const components = [];
+  for (const entry of list) {
+    const item = getItem(Number(entry && entry.itemId));
+    if (!item) return { error: `Component item not found (#${entry && entry.itemId})` };
+    if (isBundle(item) || item.id === bundleId) return { error: 'Bundles cannot contain other bundles' };
+    const quantity = Number(entry.quantity === undefined ? 1 : entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: 'Component quantities must be whole numbers of at least 1' };
+    let variantId = null;
+    if (variants.hasVariants(item)) {
+      const variant = variants.findVariant(item, entry.variantId);
+      if (!variant) return { error: `Choose which option of ${item.name} goes in the bundle` };
+      variantId = variant.id;
+    }
+    const existing = components.find(c => c.itemId === item.id && c.variantId === variantId);
+    if (existing) existing.quantity += quantity;
+    else components.push({ itemId: item.id, variantId, quantity });
+  }
+  if (components.length > MAX_COMPONENTS) return { error: `At most ${MAX_COMPONENTS} components per bundle` };
+  return { components };
+}
+
+// { item, variant } for a component, or null when it no longer resolves
+// (item deleted, or the chosen variant was removed)
+function resolveComponent(component, getItem) {
+  const item = getItem(component.itemId);
+  if (!item) return null;
+  if (!variants.hasVariants(item)) return component.variantId ? null : { item, variant: null };
+  const variant = variants.findVariant(item, component.variantId);
+  return variant ? { item, variant } : null;
+}
+
+// How many complete bundles the components' stock allows
+function bundleStock(bundle, getItem) {
+  const counts = (bundle.components || []).map(c => {
+    const resolved = resolveComponent(c, getItem);
+    if (!resolved) return 0;
+    return Math.floor(Number((resolved.variant || resolved.item).stock || 0) / c.quantity);
+  });
+  return counts.length ? Math.max(0, Math.min(...counts)) : 0;
+}
+
+// Shown in the shop only while every component resolves and is active
+function isListed(bundle, getItem) {
+  return (bundle.components || []).length > 0 && bundle.components.every(c => {
+    const resolved = resolveComponent(c, getItem);
+    return resolved && resolved.item.active !== false;
+  });
+}
+
+function usesItem(bundle, itemId) {
+  return isBundle(bundle) && (bundle.components || []).some(c => c.itemId === Number(itemId));
+}
+
+module.exports = {
+  isBundle,
+  normalizeComponents,
+  resolveComponent,
+  bundleStock,
+  isListed,
+  usesItem
+};
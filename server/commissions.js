@@ -0,0 +1,103 @@
+// Commissions: made-to-order pieces that don't come from item stock.
+//
+//   requested -> quoted          staff quote a price and lead time (quoting again replaces the quote)
+//   quoted -> accepted           the customer accepts; an order is created for the quoted price
+//   quoted -> declined           the customer turns the quote down
+//   requested | quoted -> rejected   staff can't take the job
+//   requested | quoted -> withdrawn  the customer changes their mind
+//   accepted -> in_progress -> finished   making progress, tracked by staff
+//   accepted | in_progress -> canceled    the order was canceled (either side)
+//
+// A commission is stored in store.commissions as
+//   { id, username, buyerName, title, details, colors, size, personalization, status,
+//     quote: { price, leadDays, note, by, at } | null, dueDate, orderId, history, createdAt }
+// history entries are { status, at, by, note }, like order statusHistory.
+
+const STATUS_LABELS = {
+  requested: 'Requested',
+  quoted: 'Quoted',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  rejected: 'Rejected',
+  withdrawn: 'Withdrawn',
+  in_progress: 'In progress',
+  finished: 'Finished',
+  canceled: 'Canceled'
+};
+
+const TRANSITIONS = {
+  requested: ['quoted', 'rejected', 'withdrawn'],
+  quoted: ['quoted', 'accepted', 'declined', 'rejected', 'withdrawn'],
+  accepted: ['in_progress', 'canceled'],
+  in_progress: ['finished', 'canceled'],
+  declined: [],
+  rejected: [],
+  withdrawn: [],
+  finished: [],
+  canceled: []
+};
+
+// Who may move a commission into each status
+const CUSTOMER_STATUSES = ['accepted', 'declined', 'withdrawn'];
+const STAFF_STATUSES = ['quoted', 'rejected', 'in_progress', 'finished', 'canceled'];
+
+// Still waiting on someone (shown at the top of the queue)
+const OPEN_STATUSES = ['requested', 'quoted', 'accepted', 'in_progress'];
+
+const MAX_LEAD_DAYS = 120;
+const TEXT_LIMITS = { title: 80, details: 1000, colors: 120, size: 60, personalization: 60 };
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Validates a customer's request; returns { request } or { error }
+function normalizeRequest(raw) {
+  const body = raw || {};
+  const request = {};
+  for (const field of Object.keys(TEXT_LIMITS)) {
+    const value = String(body[field] || '').trim();
+    if (value.length > TEXT_LIMITS[field]) return { error: `${field} can be at most ${TEXT_LIMITS[field]} characters` };
+    request[field] = value;
+  }
+  if (!request.title) return { error: 'Tell us what you would like made' };
+  if (request.details.length < 10) return { error: 'Please describe the piece in a few words (at least 10 characters)' };
+  return { request };
+}
+
+// Validates a staff quote; returns { quote } or { error }
+function normalizeQuote(raw) {
+  const body = raw || {};
+  const price = Number(body.price);
+  if (body.price === '' || !Number.isFinite(price) || price <= 0) return { error: 'Quote price must be above 0' };
+  const leadDays = Number(body.leadDays);
+  if (!Number.isInteger(leadDays) || leadDays < 1 || leadDays > MAX_LEAD_DAYS) {
+    return { error: `Lead time must be 1 to ${MAX_LEAD_DAYS} days` };
+  }
+  return { quote: { price: +price.toFixed(2), leadDays, note: String(body.note || '').trim().slice(0, 500) } };
+}
+
+// Applies a status change to the commission object (no persistence).
+// Returns an error string when the transition is not allowed.
+function applyStatus(commission, to, by, note = '') {
+  if (!STATUS_LABELS[to]) return `Unknown status: ${to}`;
+  if (!canTransition(commission.status, to)) {
+    return `Cannot change commission from ${STATUS_LABELS[commission.status]} to ${STATUS_LABELS[to]}`;
+  }
+  commission.status = to;
+  commission.history = Array.isArray(commission.history) ? commission.history : [];
+  commission.history.push({ status: to, at: new Date().toISOString(), by: by || 'system', note: note || '' });
+  return null;
+}
+
+module.exports = {
+  STATUS_LABELS,
+  TRANSITIONS,
+  CUSTOMER_STATUSES,
+  STAFF_STATUSES,
+  OPEN_STATUSES,
+  canTransition,
+  normalizeRequest,
+  normalizeQuote,
+  applyStatus
+};
@@ -0,0 +1,49 @@
+// Server-sent events for GET /api/events.
+// Routes publish after their changes are saved; each event only goes to the clients
+// the caller's visibleTo(client) check allows (default: everyone).
+// Wire format: "id: <n>\nevent: <type>\ndata: <json>\n\n".
+
+const HEARTBEAT_MS = 25000; // keeps proxies from closing idle streams
+const RETRY_MS = 3000; // reconnect delay suggested to EventSource
+
+function createEventHub() {
+  const clients = new Set();
+  let nextEventId = 1;
+
+  // Registers an open response as a client. info is kept on the client for visibleTo checks.
+  function subscribe(req, res, info = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { ...info, res };
+    clients.add(client);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+    send(client, nextEventId++, 'ready', {});
+    return client;
+  }
+
+  function send(client, id, type, data) {
+    client.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function publish(type, data, visibleTo = () => true) {
+    const id = nextEventId++;
+    clients.forEach(client => {
+      if (visibleTo(client)) send(client, id, type, data);
+    });
+  }
+
+  return { subscribe, publish, size: () => clients.size };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,64 @@
+// Feedback inbox.
+// Anyone can send feedback; signed-in submitters are recorded so staff can reply. Stored in
+// store.feedback as
+//   { id, username | null, name, category, message, orderId | null, status,
+//     notes: [{ at, by, text }], replies: [{ at, by, text }], createdAt, updatedAt }
+// notes are internal to staff; replies are sent to the submitter's notifications.
+
+const CATEGORIES = {
+  bug: 'Bug',
+  idea: 'Product idea',
+  complaint: 'Complaint',
+  other: 'Other'
+};
+
+const STATUS_LABELS = {
+  new: 'New',
+  in_progress: 'In progress',
+  resolved: 'Resolved'
+};
+
+const MESSAGE_LIMIT = 2000;
+const NOTE_LIMIT = 1000;
+
+// Validates a submission; returns { feedback: { category, message, orderId } } or { error }
+function normalizeSubmission(raw) {
+  const body = raw || {};
+  const category = String(body.category || 'other');
+  if (!CATEGORIES[category]) return { error: `Unknown category: ${category}` };
+  const message = String(body.message || '').trim();
+  if (message.length < 5) return { error: 'Please write a few words (at least 5 characters)' };
+  if (message.length > MESSAGE_LIMIT) return { error: `Feedback can be at most ${MESSAGE_LIMIT} characters` };
+  let orderId = null;
+  if (body.orderId !== undefined && body.orderId !== null && body.orderId !== '') {
+    orderId = Number(String(body.orderId).replace('#', ''));
+    if (!Number.isInteger(orderId) || orderId < 1) return { error: 'Order number must be a whole number' };
+  }
+  return { feedback: { category, message, orderId } };
+}
+
+// Trimmed note/reply text, or { error }
+function normalizeText(raw, label) {
+  const text = String(raw || '').trim();
+  if (!text) return { error: `${label} required` };
+  if (text.length > NOTE_LIMIT) return { error: `${label} can be at most ${NOTE_LIMIT} characters` };
+  return { text };
+}
+
+// Case-insensitive search over the message, submitter, notes, replies and order number
+function matches(entry, query) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return true;
+  const haystack = [entry.message, entry.name, entry.username || '', entry.orderId ? `#${entry.orderId}` : '']
+    .concat((entry.notes || []).map(n => n.text), (entry.replies || []).map(r => r.text))
+    .join('\n').toLowerCase();
+  return haystack.includes(q);
+}
+
+module.exports = {
+  CATEGORIES,
+  STATUS_LABELS,
+  normalizeSubmission,
+  normalizeText,
+  matches
+};
@@ -0,0 +1,72 @@
+// Employee workspace: the day's pickup list and packing.
+// An order's packing checklist is stored as order.packing = { lines: [true | false per line], by, at },
+// lines in the same order as order.lines. Orders placed before packing was tracked have none.
+
+const pickupSlots = require('./pickupSlots');
+const { localDay } = require('./payments');
+
+// Statuses an employee can move an order into from the workspace
+const EMPLOYEE_STATUSES = ['ready', 'picked_up', 'completed', 'no_show'];
+
+// The order's checklist, one flag per line
+function packingOf(order) {
+  const packed = (order.packing && Array.isArray(order.packing.lines)) ? order.packing.lines : [];
+  return (order.lines || []).map((l, i) => !!packed[i]);
+}
+
+function isPacked(order) {
+  return packingOf(order).every(Boolean);
+}
+
+// Applies a checklist change (no persistence): lineIndex or 'all', packed true/false.
+// Returns an error string or null.
+function applyPacking(order, lineIndex, packed, by) {
+  const lines = packingOf(order);
+  if (lineIndex === 'all') {
+    lines.fill(!!packed);
+  } else {
+    const index = Number(lineIndex);
+    if (!Number.isInteger(index) || index < 0 || index >= lines.length) return 'Line not found on this order';
+    lines[index] = !!packed;
+  }
+  order.packing = { lines, by: by || 'system', at: new Date().toISOString() };
+  return null;
+}
+
+// Orders picked up on `day` ('YYYY-MM-DD'), grouped by pickup slot or, without one, by arrival
+// time. On today's list, ready orders from earlier days that are still waiting come first.
+// Returns [{ key, label, start, slot, orders }] in pickup order; canceled orders are left out.
+function pickupGroups(orders, day, today) {
+  const groups = new Map();
+  const add = (key, label, start, slot, order) => {
+    if (!groups.has(key)) groups.set(key, { key, label, start, slot, orders: [] });
+    groups.get(key).orders.push(order);
+  };
+  orders.forEach(order => {
+    if (!order.arrivalDate || order.status === 'canceled') return;
+    const arrivalDay = localDay(order.arrivalDate);
+    if (arrivalDay < day && day === today && order.status === 'ready') {
+      add('earlier', 'Still waiting from earlier days', '', null, order);
+    } else if (arrivalDay !== day) {
+      return;
+    } else if (order.pickup) {
+      // orders from a deleted slot have no slotId left; group them by the slot's copy instead
+      const slotKey = order.pickup.slotId || `${order.pickup.date}T${order.pickup.startTime} ${order.pickup.location}`;
+      add(`slot:${slotKey}`, pickupSlots.slotLabel(order.pickup), `${order.pickup.date}T${order.pickup.startTime}`, order.pickup, order);
+    } else {
+      const start = String(order.arrivalDate).slice(0, 16);
+      add(`arrival:${start}`, `Arrival ${start.replace('T', ' ')}`, start, null, order);
+    }
+  });
+  return Array.from(groups.values())
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(g => ({ ...g, orders: g.orders.sort((a, b) => String(a.buyerName || '').localeCompare(String(b.buyerName || '')) || a.id - b.id) }));
+}
+
+module.exports = {
+  EMPLOYEE_STATUSES,
+  packingOf,
+  isPacked,
+  applyPacking,
+  pickupGroups
+};
@@ -1,48 +1,113 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const permissions = require('./permissions');
+const orderStatus = require('./orderStatus');
+const { createEventHub } = require('./events');
+const uploads = require('./uploads');
+const variants = require('./variants');
+const promotions = require('./promotions');
+const bundles = require('./bundles');
+const commissions = require('./commissions');
+const pickupSlots = require('./pickupSlots');
+const payments = require('./payments');
+const notifications = require('./notifications');
+const feedback = require('./feedback');
+const reviews = require('./reviews');
+const fulfillment = require('./fulfillment');
+const accounts = require('./accounts');
+const rateLimit = require('./rateLimit');
+const audit = require('./audit');
+const { createStore } = require('./storage');
 
 const app = express();
-const DATA_PATH = path.join(__dirname, 'data.json');
+const SESSION_COOKIE = 'cs_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // sessions last a week
+// Sessions are signed with SESSION_SECRET. Without it a random secret is used,
+// which means everyone is signed out whenever the server restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.log('SESSION_SECRET not set; using a random secret (sessions reset on restart).');
+}
+// Behind a reverse proxy set TRUST_PROXY (e.g. TRUST_PROXY=1) so rate limits see the client's IP
+// instead of the proxy's; see Express's "trust proxy" setting.
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, '..', 'public')));
+// uploaded images are named by content hash, so they never change once written
+app.use('/uploads', express.static(uploads.UPLOAD_DIR, { maxAge: '30d', immutable: true }));
 
-function loadData() {
-  try {
-    const raw = fs.readFileSync(DATA_PATH, 'utf8');
-    return JSON.parse(raw);
-  } catch (e) {
-    console.error('Failed to read data.json', e);
-    return { accounts: [], items: [], orders: [] };
-  }
-}
+// STORAGE=json (default, data.json) or STORAGE=sqlite; see storage/index.js
+const store = createStore();
+const events = createEventHub();
 
-function saveData(data) {
-  fs.writeFileSync(DATA_PATH, JSON.stringify(data, null, 2));
-}
+// Give accounts created before the role model an explicit roles list
+// (admin flag / username "admin" -> admin, role "employee" -> employee, else customer).
+(function ensureAccountRoles() {
+  let changed = false;
+  store.accounts.all().forEach(acc => {
+    if (Array.isArray(acc.roles)) return;
+    acc.roles = permissions.legacyRoles(acc);
+    delete acc.isAdmin;
+    delete acc.role;
+    store.accounts.update(acc);
+    changed = true;
+  });
+  if (changed) console.log('Assigned roles to existing accounts.');
+})();
 
-function nextId(array) {
-  if (!array.length) return 1;
-  return Math.max(...array.map(a => a.id || 0)) + 1;
-}
+// Convert single-item orders ({ itemId, itemName, quantity, amount }) to the lines format.
+(function ensureOrderLines() {
+  let changed = 0;
+  store.orders.all().forEach(o => {
+    if (Array.isArray(o.lines)) return;
+    const quantity = Number(o.quantity || 1);
+    o.lines = [{
+      itemId: o.itemId,
+      itemName: o.itemName || '',
+      quantity,
+      unitPrice: +(Number(o.amount || 0) / quantity).toFixed(2),
+      amount: Number(o.amount || 0)
+    }];
+    delete o.itemId;
+    delete o.itemName;
+    delete o.quantity;
+    store.orders.update(o);
+    changed++;
+  });
+  if (changed) console.log(`Converted ${changed} order(s) to multi-line format.`);
+})();
+
+// Give orders created before the lifecycle model a status history
+(function ensureStatusHistory() {
+  store.orders.all().forEach(o => {
+    if (Array.isArray(o.statusHistory)) return;
+    o.statusHistory = [{ status: 'processing', at: o.createdAt, by: o.username || 'guest', note: '' }];
+    if (o.status && o.status !== 'processing') {
+      o.statusHistory.push({ status: o.status, at: o.canceledAt || o.createdAt, by: 'system', note: 'Recorded before status history' });
+    }
+    store.orders.update(o);
+  });
+})();
 
 // Ensure admin has a passwordHash on first run (demo convenience).
 // This sets a default password hash if an admin exists without passwordHash.
-// IMPORTANT: You can change admin password by editing data.json manually or adding an endpoint.
+// IMPORTANT: change it after the first sign-in from the profile screen (POST /api/account/password).
 (function ensureAdminPassword() {
-  const data = loadData();
-  const admin = data.accounts.find(a => a.username && a.username.toLowerCase() === 'admin');
+  const admin = store.accounts.get('admin');
   if (admin && !admin.passwordHash) {
     try {
       // DEMO default password - hashed; not printed to UI.
       const defaultPass = 'GoofyGuy1!';
       admin.passwordHash = bcrypt.hashSync(defaultPass, 10);
-      saveData(data);
+      store.accounts.update(admin);
       console.log('Admin password initialized on first run (demo).');
     } catch (e) {
       console.error('Failed to initialize admin password', e);
@@ -50,341 +115,2796 @@ function nextId(array) {
   }
 })();
 
-// New: ensure employees have a password hash (default "employee") so employee1/employee2 can log in.
-// This fixes "Invalid password for account" for employee accounts created in data.json without a valid bcrypt hash.
+// Ensure employees have a password hash (default "employee") so employee1/employee2 can log in.
+// Only accounts without a usable bcrypt hash (e.g. placeholders in data.json) are initialized;
+// a password the employee chose themselves is left alone.
 (function ensureEmployeePasswords() {
   try {
-    const data = loadData();
-    let changed = false;
-    data.accounts.forEach(acc => {
-      if (acc && acc.role === 'employee') {
-        try {
-          // If missing or not a bcrypt-style string, re-initialize
-          if (!acc.passwordHash || typeof acc.passwordHash !== 'string' || !acc.passwordHash.startsWith('$2')) {
-            throw new Error('invalid-hash-format');
-          }
-          // If the hash exists but does not verify against default "employee" (likely placeholder), re-init.
-          // Use try/catch because compareSync can throw on malformed hashes.
-          const ok = bcrypt.compareSync('employee', acc.passwordHash);
-          if (!ok) throw new Error('hash-does-not-verify');
-          // if ok, leave as-is (may be a real custom password or already default)
-        } catch (err) {
-          // initialize to default "employee"
-          acc.passwordHash = bcrypt.hashSync('employee', 10);
-          changed = true;
-          console.log(`Initialized/normalized password for employee account: ${acc.username}`);
-        }
-      }
+    store.accounts.all().forEach(acc => {
+      if (!acc || !permissions.hasRole(acc, 'employee')) return;
+      if (typeof acc.passwordHash === 'string' && acc.passwordHash.startsWith('$2')) return;
+      acc.passwordHash = bcrypt.hashSync('employee', 10);
+      store.accounts.update(acc);
+      console.log(`Initialized password for employee account: ${acc.username}`);
     });
-    if (changed) saveData(data);
   } catch (e) {
     console.error('Failed to initialize employee passwords', e);
   }
 })();
 
+// ---- Sessions ----
+// Login issues a signed token "<payload>.<signature>" where payload is base64url JSON
+// { sid, username, exp }. The token is sent back as an HttpOnly cookie and in the
+// response body so the frontend can use an "Authorization: Bearer" header instead.
+// The sid must still exist in the sessions collection, so logout revokes the token server-side.
+
+function signPayload(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function createSession(username) {
+  const now = Date.now();
+  // drop expired sessions while we are writing anyway
+  store.sessions.removeWhere(s => Date.parse(s.expiresAt) <= now);
+  const session = {
+    id: crypto.randomBytes(16).toString('hex'),
+    username,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  };
+  store.sessions.insert(session);
+  const payload = Buffer.from(JSON.stringify({ sid: session.id, username, exp: now + SESSION_TTL_MS })).toString('base64url');
+  return { session, token: `${payload}.${signPayload(payload)}` };
+}
+
+function verifySessionToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, sig] = token.split('.');
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(signPayload(payload));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sid || !claims.exp || claims.exp < Date.now()) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const found = header.split(';').map(c => c.trim()).find(c => c.startsWith(name + '='));
+  return found ? decodeURIComponent(found.slice(name.length + 1)) : null;
+}
+
+function getRequestToken(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE);
+}
+
+// Public view of an account (never includes passwordHash or wishlist).
+// permissions is the flattened capability list the frontend uses to decide which panels to show.
+function publicAccount(acc) {
+  return {
+    username: acc.username,
+    fullName: acc.fullName || '',
+    createdAt: acc.createdAt,
+    roles: acc.roles || [],
+    permissions: permissions.permissionsFor(acc, store.roles.all()),
+    isAdmin: permissions.hasRole(acc, 'admin'),
+    mustChangePassword: !!acc.mustChangePassword
+  };
+}
+
+function can(acc, permission) {
+  return permissions.hasPermission(acc, permission, store.roles.all());
+}
+
+// Attaches req.account / req.session when a valid session token is present.
+// Never rejects: routes decide whether they need a signed-in account.
+function authenticate(req, res, next) {
+  req.account = null;
+  req.session = null;
+  const claims = verifySessionToken(getRequestToken(req));
+  if (!claims) return next();
+  const session = store.sessions.get(claims.sid);
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return next();
+  const acc = store.accounts.get(session.username);
+  if (!acc || acc.disabled) return next();
+  req.account = acc;
+  req.session = session;
+  next();
+}
+
+function requireAccount(req, res) {
+  if (!req.account) {
+    res.status(401).json({ error: 'Sign in required' });
+    return false;
+  }
+  return true;
+}
+
+function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', maxAge: SESSION_TTL_MS });
+}
+
+// Creates a session for the account and sets the session cookie.
+// Returns the JSON body shared by /api/login and /api/create-account.
+function startSession(res, acc) {
+  const { session, token } = createSession(acc.username);
+  setSessionCookie(res, token);
+  const saved = store.accounts.update({ ...acc, lastLoginAt: session.createdAt });
+  return { account: publicAccount(saved), token, expiresAt: session.expiresAt };
+}
+
+// Signs the account out everywhere, except for the session to keep (if any)
+function revokeSessions(username, keepSessionId = null) {
+  const key = String(username).toLowerCase();
+  store.sessions.removeWhere(s => String(s.username).toLowerCase() === key && s.id !== keepSessionId);
+}
+
+app.use('/api', authenticate);
+// before any route, so the buyer routes staff also use are covered (see the audit log section)
+app.use('/api', auditTrail);
+
 // API routes
 
+// ---- Catalog ----
+// Items may have a categoryId (see the categories collection: { id, name, createdAt })
+// and free-form tags (lowercase strings, set by admins).
+const TAG_RE = /^[a-z0-9][a-z0-9 -]{0,23}$/;
+const MAX_TAGS = 10;
+
+// Accepts an array or a comma separated string; returns { tags } or { error }
+function normalizeTags(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  const tags = Array.from(new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+  const bad = tags.find(t => !TAG_RE.test(t));
+  if (bad) return { error: `Invalid tag "${bad}" (letters, digits, spaces and dashes, up to 24 characters)` };
+  if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags per item` };
+  return { tags };
+}
+
+// '' / null clears the category; returns { categoryId } or { error }
+function normalizeCategoryId(raw) {
+  if (raw === null || raw === '' || raw === 'null') return { categoryId: null };
+  const category = store.categories.get(Number(raw));
+  if (!category) return { error: 'Category not found' };
+  return { categoryId: category.id };
+}
+
+// Units sold per item id, counting every order that wasn't canceled
+function unitsSold() {
+  const sold = {};
+  store.orders.all().forEach(o => {
+    if (o.status === 'canceled') return;
+    (o.lines || []).forEach(l => {
+      if (l.itemId) sold[l.itemId] = (sold[l.itemId] || 0) + Number(l.quantity || 0);
+    });
+  });
+  return sold;
+}
+
+const ITEM_SORTS = ['price_asc', 'price_desc', 'newest', 'popular', 'rating'];
+
+// Filters and sorts catalog items from query params: category (id), tags (comma separated,
+// items must have all of them), minPrice, maxPrice, inStock=1, sort (ITEM_SORTS).
+// Without sort items keep their catalog (id) order. Returns { items } or { error }.
+function queryItems(items, query) {
+  const categoryId = query.category ? Number(query.category) : null;
+  const tags = query.tags ? String(query.tags).split(',').map(t => t.trim().toLowerCase()).filter(Boolean) : [];
+  const minPrice = query.minPrice !== undefined && query.minPrice !== '' ? Number(query.minPrice) : null;
+  const maxPrice = query.maxPrice !== undefined && query.maxPrice !== '' ? Number(query.maxPrice) : null;
+  if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) return { error: 'Invalid price range' };
+  const sort = query.sort || '';
+  if (sort && !ITEM_SORTS.includes(sort)) return { error: `Unknown sort: ${sort}` };
+
+  const matched = items.filter(i => {
+    if (categoryId && i.categoryId !== categoryId) return false;
+    if (tags.length && !tags.every(t => (i.tags || []).includes(t))) return false;
+    if (minPrice !== null && Number(i.price) < minPrice) return false;
+    if (maxPrice !== null && Number(i.price) > maxPrice) return false;
+    if (query.inStock === '1' && !(i.stock > 0)) return false;
+    return true;
+  });
+  if (sort === 'price_asc') matched.sort((a, b) => a.price - b.price || a.id - b.id);
+  if (sort === 'price_desc') matched.sort((a, b) => b.price - a.price || a.id - b.id);
+  if (sort === 'newest') matched.sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')) || b.id - a.id);
+  if (sort === 'popular') {
+    const sold = unitsSold();
+    matched.sort((a, b) => (sold[b.id] || 0) - (sold[a.id] || 0) || a.id - b.id);
+  }
+  if (sort === 'rating') {
+    const rated = i => (i.rating && i.rating.count ? i.rating : { average: 0, count: 0 });
+    matched.sort((a, b) => rated(b).average - rated(a).average || rated(b).count - rated(a).count || a.id - b.id);
+  }
+  return { items: matched };
+}
+
+// Item lookup over one snapshot of the items, for the bundle helpers
+function itemLookup() {
+  const byId = new Map(store.items.all().map(i => [i.id, i]));
+  return id => byId.get(Number(id)) || null;
+}
+
+// Shop items (active only, and bundles only while all their components are), filtered by
+// queryItems(). Also returns every category and the tags in use on listed items, so the
+// frontend can build its filter chips.
 app.get('/api/items', (req, res) => {
-  const data = loadData();
-  const items = data.items.filter(i => i.active !== false);
-  res.json({ items });
+  const getItem = itemLookup();
+  const active = store.items.filter(i => i.active !== false && (!bundles.isBundle(i) || bundles.isListed(i, getItem)));
+  const result = queryItems(active, req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  const tags = Array.from(new Set(active.flatMap(i => i.tags || []))).sort();
+  res.json({ items: result.items, categories: store.categories.all(), tags });
+});
+
+// ---- Live updates (GET /api/events) ----
+// Streams 'item' ({ item }) and 'order' ({ order }) events. Item changes go to everyone;
+// order changes only to the order's owner and to accounts with orders.view.
+// Routes publish after their transaction has committed, never from inside one.
+
+// Account behind a stream, re-read on every event so sign-outs and role changes apply
+function streamAccount(client) {
+  if (!client.sid) return null;
+  const session = store.sessions.get(client.sid);
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+  const acc = store.accounts.get(session.username);
+  return acc && !acc.disabled ? acc : null;
+}
+
+// ---- Notifications ----
+// Stores a notification for the account (see notifications.js). The event goes out once the
+// surrounding transaction has committed, and only if the notification survived it.
+function notify(username, { type, title, body = '', orderId = null, itemId = null, variantId = null }) {
+  if (!username || String(username).toLowerCase() === 'guest' || !store.accounts.get(username)) return null;
+  const notification = store.notifications.insert({
+    username, type, title, body, orderId, itemId, variantId, read: false, createdAt: new Date().toISOString(), readAt: null
+  });
+  setImmediate(() => {
+    const saved = store.notifications.get(notification.id);
+    if (!saved) return;
+    events.publish('notification', { notification: saved }, client => {
+      const acc = streamAccount(client);
+      return !!acc && acc.username.toLowerCase() === String(username).toLowerCase();
+    });
+  });
+  return notification;
+}
+
+// "2025-10-20 12:00-12:30 at Room 204", or the plain arrival date
+function pickupWhen(order) {
+  if (order.pickup) return pickupSlots.slotLabel(order.pickup);
+  return String(order.arrivalDate || '').replace('T', ' ').slice(0, 16);
+}
+
+// Tells the buyer about status changes someone else made to their order
+function notifyOrderStatus(order, to, actor, note) {
+  if (String(actor || '').toLowerCase() === String(order.username || '').toLowerCase()) return;
+  const base = { orderId: order.id };
+  if (to === 'scheduled' && order.arrivalDate) {
+    notify(order.username, { ...base, type: 'order_scheduled', title: `Order #${order.id} scheduled`, body: `Pickup: ${pickupWhen(order)}` });
+  } else if (to === 'ready') {
+    notify(order.username, { ...base, type: 'order_ready', title: `Order #${order.id} is ready for pickup`,
+      body: order.arrivalDate ? `Pickup: ${pickupWhen(order)}` : '' });
+  } else if (to === 'canceled') {
+    notify(order.username, { ...base, type: 'order_canceled', title: `Order #${order.id} was canceled`, body: note || '' });
+  }
+}
+
+// Tells everyone with the item (or that variant) on their wishlist that it can be bought again,
+// unless they still have an unread notice about it
+function notifyBackInStock(item, variant) {
+  if (item.active === false) return;
+  const keys = [String(item.id)].concat(variant ? `${item.id}:${variant.id}` : []);
+  const name = variant ? `${item.name} (${variants.variantLabel(variant)})` : item.name;
+  store.accounts.filter(acc => normalizeWishlist(acc.wishlist).some(k => keys.includes(k))).forEach(acc => {
+    const pending = store.notifications.find(n => n.username.toLowerCase() === acc.username.toLowerCase() &&
+      n.type === 'back_in_stock' && !n.read && n.itemId === item.id);
+    if (pending) return;
+    notify(acc.username, {
+      type: 'back_in_stock', title: `${name} is back in stock`, body: 'It is on your wishlist.',
+      itemId: item.id, variantId: variant ? variant.id : null
+    });
+  });
+}
+
+// Day-before pickup reminders, plus dropping old read notifications. Runs every few minutes.
+function sendPickupReminders() {
+  const now = new Date();
+  store.transaction(() => {
+    store.orders.filter(o => notifications.reminderDue(o, now)).forEach(order => {
+      const owed = payments.balanceOf(order).balance;
+      notify(order.username, {
+        type: 'pickup_reminder', orderId: order.id, title: `Pickup tomorrow: order #${order.id}`,
+        body: `${pickupWhen(order)}.${owed > 0 ? ` Please bring $${owed.toFixed(2)} in cash.` : ''} Confirm in My Orders.`
+      });
+      order.reminderSentAt = now.toISOString();
+      store.orders.update(order);
+    });
+    store.notifications.filter(n => notifications.expired(n, now)).forEach(n => store.notifications.remove(n.id));
+  });
+}
+
+// Publishes the items plus every bundle built from them (their stock and visibility follow)
+function publishItems(itemIds) {
+  const ids = itemIds.map(Number);
+  store.items.filter(i => ids.some(id => bundles.usesItem(i, id))).forEach(b => ids.push(b.id));
+  Array.from(new Set(ids)).forEach(id => {
+    const item = store.items.get(id);
+    if (item) events.publish('item', { item });
+  });
+}
+
+// Publishes the order and the items on its lines
+function publishOrder(order) {
+  events.publish('order', { order: publicOrder(order) }, client => {
+    const acc = streamAccount(client);
+    if (!acc) return false;
+    if (can(acc, 'orders.view')) return true;
+    return order.username !== 'guest' && acc.username.toLowerCase() === String(order.username || '').toLowerCase();
+  });
+  publishItems((order.lines || []).map(l => l.itemId).filter(Boolean));
+  if (order.pickup) publishSlot(order.pickup.slotId);
+  if (order.commissionId) {
+    const commission = store.commissions.get(order.commissionId);
+    if (commission) publishCommission(commission);
+  }
+}
+
+// Publishes a commission to its customer and to accounts with commissions.manage
+function publishCommission(commission) {
+  events.publish('commission', { commission }, client => {
+    const acc = streamAccount(client);
+    if (!acc) return false;
+    return can(acc, 'commissions.manage') || acc.username.toLowerCase() === String(commission.username).toLowerCase();
+  });
+}
+
+// Publishes a feedback entry (with internal notes) to accounts with feedback.manage
+function publishFeedback(entry) {
+  events.publish('feedback', { feedback: entry }, client => {
+    const acc = streamAccount(client);
+    return !!acc && can(acc, 'feedback.manage');
+  });
+}
+
+app.get('/api/events', (req, res) => {
+  events.subscribe(req, res, { sid: req.session ? req.session.id : null });
 });
 
+// ---- Rate limits ----
+// Wrong passwords lock the username and, at a higher count, the caller's IP; wrong guest order
+// codes lock the IP; placing orders is capped per account, or per IP for guests. Limits live in
+// memory (see rateLimit.js). Blocked requests get 429 with { error, retryAfter } (seconds) and
+// a Retry-After header.
+const HOUR_MS = 60 * 60 * 1000;
+const LIMITS = {
+  'login-user': {
+    label: 'Sign-in (username)',
+    limiter: rateLimit.createLockout({ threshold: 5, baseMs: 60 * 1000, maxMs: HOUR_MS, forgetMs: 24 * HOUR_MS })
+  },
+  'login-ip': {
+    label: 'Sign-in (IP address)',
+    limiter: rateLimit.createLockout({ threshold: 20, baseMs: 5 * 60 * 1000, maxMs: HOUR_MS, forgetMs: 24 * HOUR_MS })
+  },
+  'order-code': {
+    label: 'Guest order codes (IP address)',
+    limiter: rateLimit.createLockout({ threshold: 10, baseMs: 5 * 60 * 1000, maxMs: HOUR_MS, forgetMs: 24 * HOUR_MS })
+  },
+  orders: {
+    label: 'Orders placed',
+    limiter: rateLimit.createRateLimit({ windowMs: 10 * 60 * 1000, max: 10 })
+  }
+};
+
+function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+function tooMany(res, waitMs, message) {
+  const retryAfter = Math.ceil(waitMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: `${message}. Try again in ${rateLimit.waitText(waitMs)}.`, retryAfter });
+}
+
+// Checks a password typed at sign-in (or to confirm an account change). Failures count against
+// the username and the IP; a match clears the username's count but not the IP's. Sends the
+// 400/429 and returns false unless the password matches.
+function checkPassword(req, res, acc, username, password, wrongMessage) {
+  const userKey = String(username).toLowerCase();
+  const ip = clientIp(req);
+  const byUser = LIMITS['login-user'].limiter;
+  const byIp = LIMITS['login-ip'].limiter;
+  const wait = Math.max(byUser.retryAfter(userKey), byIp.retryAfter(ip));
+  if (wait) {
+    tooMany(res, wait, 'Too many failed sign-in attempts');
+    return false;
+  }
+  if (acc && acc.passwordHash && typeof password === 'string' && bcrypt.compareSync(password, acc.passwordHash)) {
+    byUser.succeed(userKey);
+    return true;
+  }
+  const locked = Math.max(byUser.fail(userKey), byIp.fail(ip));
+  if (locked) tooMany(res, locked, 'Too many failed sign-in attempts');
+  else res.status(400).json({ error: wrongMessage });
+  return false;
+}
+
+// Counts an order attempt; sends the 429 and returns false once the caller placed too many.
+// Staff placing orders for customers (orders.manage) aren't limited.
+function allowOrder(req, res) {
+  if (can(req.account, 'orders.manage')) return true;
+  const key = req.account ? `account:${req.account.username.toLowerCase()}` : `ip:${clientIp(req)}`;
+  const wait = LIMITS.orders.limiter.hit(key);
+  if (!wait) return true;
+  tooMany(res, wait, 'Too many orders placed in a short time');
+  return false;
+}
+
+// Forgets expired entries; runs with the pickup reminders
+function pruneLimits() {
+  Object.values(LIMITS).forEach(l => l.limiter.prune());
+}
+
 // Create account or login existing (password required).
 // Accepts { username, password, fullName? }
-// - If account exists: verify password, return account info.
-// - If not exists: require fullName, create account (hash password) and return account.
+// - If account exists: verify password and start a session (same as /api/login).
+// - If not exists: require fullName, create account (hash password) and start a session.
+// Responds with { account, token, expiresAt }.
 app.post('/api/create-account', async (req, res) => {
   const { username, password, fullName } = req.body || {};
   if (!username || typeof username !== 'string') {
     return res.status(400).json({ error: 'Invalid username' });
   }
-  if (!password || typeof password !== 'string' || password.length < 4) {
-    return res.status(400).json({ error: 'Password required (min length 4)' });
-  }
+  // 'guest' marks guest orders (and orders left by deleted accounts)
+  if (username.trim().toLowerCase() === 'guest') return res.status(400).json({ error: 'That username is reserved' });
+  const problem = accounts.passwordProblem(password);
+  if (problem) return res.status(400).json({ error: problem });
 
-  const data = loadData();
-  const exists = data.accounts.find(a => a.username.toLowerCase() === username.toLowerCase());
+  const exists = store.accounts.get(username);
   if (exists) {
     // verify password for existing account
-    if (!exists.passwordHash || !bcrypt.compareSync(password, exists.passwordHash)) {
-      return res.status(400).json({ error: 'Invalid password for existing account' });
-    }
-    const account = {
-      username: exists.username,
-      fullName: exists.fullName || '',
-      createdAt: exists.createdAt,
-      isAdmin: !!exists.isAdmin
-    };
-    return res.json({ account });
+    if (!checkPassword(req, res, exists, username, password, 'Invalid password for existing account')) return;
+    if (exists.disabled) return res.status(403).json({ error: 'This account has been disabled' });
+    return res.json(startSession(res, exists));
   }
 
   // creating new account - need fullName
-  if (!fullName || typeof fullName !== 'string' || fullName.trim().length < 2) {
-    return res.status(400).json({ error: 'Full name required for new accounts' });
-  }
+  const name = accounts.normalizeFullName(fullName);
+  if (name.error) return res.status(400).json({ error: 'Full name required for new accounts' });
 
   const hashed = bcrypt.hashSync(password, 10);
   const account = {
     username,
-    fullName,
+    fullName: name.fullName,
     createdAt: new Date().toISOString(),
-    isAdmin: username.toLowerCase() === 'admin',
+    roles: ['customer'],
     passwordHash: hashed
   };
-  data.accounts.push(account);
-  saveData(data);
-  const ret = {
-    username: account.username,
-    fullName: account.fullName,
-    createdAt: account.createdAt,
-    isAdmin: account.isAdmin
-  };
-  res.json({ account: ret });
+  store.accounts.insert(account);
+  res.json(startSession(res, account));
 });
 
-// Order creation
-// Accepts: { username='guest', buyerFullName (required for guest), itemId, quantity=1 }
-// Decrements stock on order.
-app.post('/api/order', (req, res) => {
-  const { username = 'guest', buyerFullName, itemId, quantity = 1 } = req.body || {};
-  if (!itemId) return res.status(400).json({ error: 'No itemId provided' });
-  const data = loadData();
-  const item = data.items.find(it => it.id === Number(itemId) && it.active !== false);
-  if (!item) return res.status(400).json({ error: 'Item not found' });
-  if (item.stock < quantity) return res.status(400).json({ error: 'Not enough stock' });
+// Login: { username, password } -> { account, token, expiresAt }
+// The password is only checked here; later requests use the session token.
+app.post('/api/login', (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || typeof username !== 'string' || !password || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  const acc = store.accounts.get(username);
+  if (!checkPassword(req, res, acc, username, password, 'Invalid username or password')) return;
+  if (acc.disabled) return res.status(403).json({ error: 'This account has been disabled' });
+  res.json(startSession(res, acc));
+});
 
-  // determine buyer name
-  let buyerName = 'guest';
-  if (username && username.toLowerCase() !== 'guest') {
-    const acc = data.accounts.find(a => a.username.toLowerCase() === username.toLowerCase());
-    if (acc) buyerName = acc.fullName || acc.username;
-    else buyerName = username;
-  } else {
-    if (!buyerFullName || typeof buyerFullName !== 'string' || buyerFullName.trim().length < 2) {
-      return res.status(400).json({ error: 'Full name required for guest purchases' });
-    }
-    buyerName = buyerFullName.trim();
+// Logout: revokes the current session (if any) and clears the cookie.
+app.post('/api/logout', (req, res) => {
+  if (req.session) store.sessions.remove(req.session.id);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+// Current session info; used by the frontend on boot to validate a stored token.
+// Also re-sets the cookie from that token, since the event stream can only send cookies.
+app.get('/api/session', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  setSessionCookie(res, getRequestToken(req));
+  res.json({ account: publicAccount(req.account), expiresAt: req.session.expiresAt });
+});
+
+// ---- Account self-service ----
+
+// Change password: { currentPassword, newPassword }. Other sessions are signed out.
+app.post('/api/account/password', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const { currentPassword, newPassword } = req.body || {};
+  const acc = req.account;
+  if (!checkPassword(req, res, acc, acc.username, currentPassword, 'Current password is incorrect')) return;
+  const problem = accounts.passwordProblem(newPassword);
+  if (problem) return res.status(400).json({ error: problem });
+  if (newPassword === currentPassword) return res.status(400).json({ error: 'Choose a password different from the current one' });
+  acc.passwordHash = bcrypt.hashSync(newPassword, 10);
+  acc.passwordChangedAt = new Date().toISOString();
+  delete acc.mustChangePassword;
+  store.transaction(() => {
+    store.accounts.update(acc);
+    revokeSessions(acc.username, req.session.id);
+  });
+  res.json({ account: publicAccount(acc) });
+});
+
+// Update the profile: { fullName }. Reviews show the new name; orders keep the name they were placed under.
+app.post('/api/account/profile', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const name = accounts.normalizeFullName((req.body || {}).fullName);
+  if (name.error) return res.status(400).json({ error: name.error });
+  const acc = req.account;
+  const username = acc.username.toLowerCase();
+  acc.fullName = name.fullName;
+  store.transaction(() => {
+    store.accounts.update(acc);
+    store.reviews.filter(r => String(r.username).toLowerCase() === username).forEach(r => {
+      store.reviews.update({ ...r, name: name.fullName });
+    });
+  });
+  res.json({ account: publicAccount(acc) });
+});
+
+// Delete the caller's account: { password }. Orders, commissions and feedback stay for the shop's
+// records but no longer point at the account (orders become guest orders under DELETED_NAME);
+// reviews, notifications, sessions, cart and wishlist go with it. Open orders and unpaid balances
+// have to be settled first, and the last admin can't leave.
+app.post('/api/account/delete', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const acc = req.account;
+  const { password } = req.body || {};
+  if (!checkPassword(req, res, acc, acc.username, password, 'Password is incorrect')) return;
+  if (permissions.hasRole(acc, 'admin') && store.accounts.count(a => permissions.hasRole(a, 'admin')) <= 1) {
+    return res.status(400).json({ error: 'Cannot delete the last admin account' });
   }
+  const username = acc.username.toLowerCase();
+  const owned = o => String(o.username || '').toLowerCase() === username;
+  const orders = store.orders.filter(owned);
+  const open = orders.find(o => orderStatus.OPEN_STATUSES.includes(o.status));
+  if (open) return res.status(400).json({ error: `Order #${open.id} is still ${orderStatus.STATUS_LABELS[open.status]}; cancel or collect it first` });
+  const owing = orders.find(o => payments.balanceOf(o).balance > 0);
+  if (owing) return res.status(400).json({ error: `Order #${owing.id} still has a balance to pay` });
+
+  const reviewedItems = new Set();
+  store.transaction(() => {
+    orders.forEach(o => store.orders.update({ ...o, username: 'guest', buyerName: accounts.DELETED_NAME, accountDeleted: true }));
+    store.commissions.filter(owned).forEach(c => {
+      if (commissions.canTransition(c.status, 'withdrawn')) commissions.applyStatus(c, 'withdrawn', 'system', 'Account deleted');
+      store.commissions.update({ ...c, username: null, buyerName: accounts.DELETED_NAME });
+    });
+    store.feedback.filter(f => owned(f)).forEach(f => store.feedback.update({ ...f, username: null, name: accounts.DELETED_NAME }));
+    store.reviews.filter(owned).forEach(r => {
+      store.reviews.remove(r.id);
+      reviewedItems.add(r.itemId);
+    });
+    reviewedItems.forEach(refreshRating);
+    store.notifications.removeWhere(owned);
+    revokeSessions(acc.username);
+    store.accounts.remove(acc.username);
+  });
+  if (reviewedItems.size) Array.from(reviewedItems).forEach(publishReviews);
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
 
-  // decrement stock (reserve)
-  item.stock -= Number(quantity);
+// ---- Inventory ledger ----
+// Every stock change goes through adjustStock(), which updates the item and appends a
+// stockMovements entry { id, itemId, itemName, variantId, variantLabel, type, delta,
+// stockAfter, actor, reason, orderId, createdAt }. Types: opening, initial, sale,
+// cancel_restock, adjustment, count, takedown. Entries are never edited, so summing an item's
+// deltas must give its current stock (and summing a variant's deltas, the variant's).
+// stockAfter is the stock of whatever was changed: the variant, or the item.
+// Bundles have no stock of their own; their components are adjusted instead.
 
-  const order = {
-    id: nextId(data.orders),
+function adjustStock(itemId, delta, { type, actor, reason = '', orderId = null, variantId = null }) {
+  const item = store.items.get(Number(itemId));
+  if (!item) throw new Error(`Item not found: ${itemId}`);
+  if (bundles.isBundle(item)) throw new Error(`Bundle stock comes from its components: ${itemId}`);
+  let variant = null;
+  let before;
+  if (variants.hasVariants(item)) {
+    variant = variants.findVariant(item, variantId);
+    if (!variant) throw new Error(`Variant not found: ${itemId}/${variantId}`);
+    before = Number(variant.stock || 0);
+    variant.stock = Number(variant.stock || 0) + Number(delta);
+    item.stock = variants.totalStock(item);
+  } else {
+    before = Number(item.stock || 0);
+    item.stock = Number(item.stock || 0) + Number(delta);
+  }
+  store.items.update(item);
+  if (before <= 0 && Number((variant || item).stock) > 0) notifyBackInStock(item, variant);
+  store.stockMovements.insert({
     itemId: item.id,
     itemName: item.name,
-    username: (username && username.toLowerCase() !== 'guest') ? username : 'guest',
-    buyerName,
-    quantity: Number(quantity),
-    amount: +(item.price * quantity).toFixed(2),
-    status: 'processing',
-    arrivalDate: null,
+    variantId: variant ? variant.id : null,
+    variantLabel: variants.variantLabel(variant),
+    type,
+    delta: Number(delta),
+    stockAfter: variant ? variant.stock : item.stock,
+    actor: actor || 'system',
+    reason,
+    orderId,
     createdAt: new Date().toISOString()
+  });
+  refreshBundles([item.id]);
+  return item;
+}
+
+// Recomputes the stock of bundles that contain any of the items (all bundles by default)
+function refreshBundles(itemIds = null) {
+  const getItem = itemLookup();
+  store.items.filter(i => bundles.isBundle(i) && (!itemIds || itemIds.some(id => bundles.usesItem(i, id)))).forEach(bundle => {
+    const stock = bundles.bundleStock(bundle, getItem);
+    if (stock === bundle.stock) return;
+    bundle.stock = stock;
+    store.items.update(bundle);
+  });
+}
+
+// Compares each item's stock (and each variant's) with the sum of its ledger entries.
+// Bundles are left out: their stock is derived from their components.
+function reconcileStock() {
+  const totals = {};
+  const add = (key, delta) => { totals[key] = (totals[key] || 0) + delta; };
+  store.stockMovements.all().forEach(m => {
+    add(m.itemId, Number(m.delta || 0));
+    if (m.variantId) add(`${m.itemId}:${m.variantId}`, Number(m.delta || 0));
+  });
+  const row = (item, variant) => {
+    const stock = Number((variant || item).stock || 0);
+    const ledgerStock = totals[variant ? `${item.id}:${variant.id}` : item.id] || 0;
+    return {
+      itemId: item.id,
+      variantId: variant ? variant.id : null,
+      name: variant ? `${item.name} (${variants.variantLabel(variant)})` : item.name,
+      stock,
+      ledgerStock,
+      drift: stock - ledgerStock
+    };
   };
+  return store.items.filter(item => !bundles.isBundle(item)).flatMap(item =>
+    [row(item, null)].concat(variants.hasVariants(item) ? item.variants.map(v => row(item, v)) : []));
+}
+
+// Items that predate the ledger get an "opening" entry for their current stock
+(function ensureOpeningBalances() {
+  const tracked = new Set(store.stockMovements.all().map(m => m.itemId));
+  store.items.all().forEach(item => {
+    if (tracked.has(item.id) || bundles.isBundle(item)) return;
+    store.stockMovements.insert({
+      itemId: item.id,
+      itemName: item.name,
+      type: 'opening',
+      delta: Number(item.stock || 0),
+      stockAfter: Number(item.stock || 0),
+      actor: 'system',
+      reason: 'Opening balance',
+      orderId: null,
+      createdAt: new Date().toISOString()
+    });
+  });
+})();
+
+// ---- Price history ----
+// Every price an item has had is kept in priceChanges { id, itemId, itemName, variantId,
+// variantLabel, oldPrice, newPrice, actor, createdAt } (oldPrice is null for the first entry).
+// Variant entries record the variant's effective price (its override, or the item price).
+// Orders copy the unit price onto their lines when placed, so price changes never touch
+// existing orders.
+function recordPriceChange(item, oldPrice, actor, variant = null) {
+  store.priceChanges.insert({
+    itemId: item.id,
+    itemName: item.name,
+    variantId: variant ? variant.id : null,
+    variantLabel: variants.variantLabel(variant),
+    oldPrice,
+    newPrice: variants.unitPrice(item, variant),
+    actor: actor || 'system',
+    createdAt: new Date().toISOString()
+  });
+}
 
-  // generate and store cancel token for guest orders so guest can cancel later
-  if (!order.username || order.username.toLowerCase() === 'guest') {
-    order.cancelToken = generateCancelToken();
+// Items created before price history get an entry for their current price
+(function ensureOpeningPrices() {
+  const tracked = new Set(store.priceChanges.all().map(c => c.itemId));
+  store.items.all().forEach(item => {
+    if (!tracked.has(item.id)) recordPriceChange(item, null, 'system');
+  });
+})();
+
+// The shop started out selling these two kinds of things
+(function ensureCategories() {
+  if (store.categories.count() > 0) return;
+  ['Crochet', 'Snacks'].forEach(name => store.categories.insert({ name, createdAt: new Date().toISOString() }));
+})();
+
+// ---- Promotions ----
+// Rules live in store.promotions (see promotions.js). A promotion is "used" by every
+// order that got a discount from it and wasn't canceled, so canceling frees the use.
+
+function promotionUses(promoId, username = null) {
+  return store.orders.count(o => o.status !== 'canceled' &&
+    (o.discounts || []).some(d => d.promotionId === promoId) &&
+    (!username || String(o.username || '').toLowerCase() === username.toLowerCase()));
+}
+
+// Why the buyer can't use a promotion right now, or null when they can
+function promotionBlocker(promo, account, now) {
+  if (!promotions.isRunning(promo, now)) return 'is not valid right now';
+  if (promo.maxUses && promotionUses(promo.id) >= promo.maxUses) return 'has been used up';
+  if (promo.maxUsesPerAccount) {
+    if (!account) return 'is only for signed-in accounts';
+    if (promotionUses(promo.id, account.username) >= promo.maxUsesPerAccount) return 'has already been used on this account';
   }
+  return null;
+}
 
-  data.orders.push(order);
-  saveData(data);
-  res.json({ order });
-});
+// Every usable automatic promotion, then the entered code (if any).
+// Returns { promotions } or { error } when the code can't be used.
+function promotionsFor(account, code, now = new Date()) {
+  const automatic = store.promotions.filter(p => !p.code && !promotionBlocker(p, account, now));
+  if (!code) return { promotions: automatic };
+  const wanted = String(code).trim().toUpperCase();
+  const promo = store.promotions.find(p => p.code === wanted);
+  if (!promo) return { error: `Unknown discount code: ${wanted}` };
+  const blocker = promotionBlocker(promo, account, now);
+  if (blocker) return { error: `Code ${wanted} ${blocker}` };
+  return { promotions: automatic.concat(promo) };
+}
 
-app.get('/api/orders', (req, res) => {
-  const data = loadData();
-  res.json({ orders: data.orders });
-});
+// ---- Orders ----
+// An order holds one or more lines:
+//   { id, username, buyerName,
+//     lines: [{ itemId, variantId?, variantLabel?, sku?, itemName, quantity, unitPrice, amount, discount,
+//               components? (bundles: [{ itemId, variantId, variantLabel, itemName, quantity per bundle }]) }],
+//     subtotal (before discounts), discount, discounts: [{ promotionId, name, code, amount }],
+//     amount (what the buyer pays), status, statusHistory, arrivalDate, createdAt,
+//     payment (cash collected, see payments.js), pickup? (booked pickup slot, see pickupSlots.js),
+//     reminderSentAt?, pickupConfirmation? ({ at, by, pledged } once the buyer confirms the reminder),
+//     cancelToken? (guest orders) }
+// Line amounts are before discounts. Orders placed before promotions have no subtotal;
+// read them as subtotal = amount, discount = 0.
+// status follows the state machine in orderStatus.js.
 
-// Add helper to generate simple cancel tokens
-function generateCancelToken() {
-  // 24-char safe token
-  return [...Array(24)].map(() => "abcdefghijklmnopqrstuvwxyz0123456789"[Math.floor(Math.random()*36)]).join('');
+// Validates [{ itemId, variantId?, quantity }] and merges duplicate item/variant pairs.
+// Returns { lines } or { error }.
+function normalizeLines(rawLines) {
+  if (!Array.isArray(rawLines) || !rawLines.length) return { error: 'No items in order' };
+  const byKey = new Map();
+  for (const raw of rawLines) {
+    const itemId = Number(raw && raw.itemId);
+    const variantId = raw && raw.variantId !== undefined && raw.variantId !== null && raw.variantId !== ''
+      ? Number(raw.variantId) : null;
+    const quantity = Number(raw && raw.quantity === undefined ? 1 : raw.quantity);
+    if (!itemId) return { error: 'No itemId provided' };
+    if (variantId !== null && !Number.isInteger(variantId)) return { error: 'Invalid variantId' };
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: 'Quantity must be a whole number of at least 1' };
+    const key = `${itemId}:${variantId}`;
+    const line = byKey.get(key) || { itemId, variantId, quantity: 0 };
+    line.quantity += quantity;
+    byKey.set(key, line);
+  }
+  return { lines: Array.from(byKey.values()) };
 }
 
-// Cancel order endpoint
-app.post('/api/cancel-order', (req, res) => {
-  const { orderId, username = '', password = '', cancelToken } = req.body || {};
-  if (!orderId) return res.status(400).json({ error: 'orderId required' });
-  const data = loadData();
-  const ord = data.orders.find(o => o.id === Number(orderId));
-  if (!ord) return res.status(400).json({ error: 'Order not found' });
-  if (ord.status === 'canceled') return res.status(400).json({ error: 'Order already canceled' });
+// Prices requested lines against current items, stock and promotions without changing
+// anything. Returns { lines, subtotal, discount, discounts, amount } or { error }.
+function priceLines(account, rawLines, code) {
+  const normalized = normalizeLines(rawLines);
+  if (normalized.error) return normalized;
+  const getItem = itemLookup();
+  const lines = [];
+  const categoryIds = [];
+  // stock needed per item/variant across all lines (bundles draw on their components)
+  const demand = new Map();
+  const need = (item, variant, quantity) => {
+    const key = `${item.id}:${variant ? variant.id : ''}`;
+    const entry = demand.get(key) || { stock: Number((variant || item).stock || 0), quantity: 0,
+      label: variant ? `${item.name} (${variants.variantLabel(variant)})` : item.name };
+    entry.quantity += quantity;
+    demand.set(key, entry);
+  };
+  for (const line of normalized.lines) {
+    const item = getItem(line.itemId);
+    if (!item || item.active === false) return { error: `Item not found (#${line.itemId})` };
+    if (bundles.isBundle(item)) {
+      if (!bundles.isListed(item, getItem)) return { error: `${item.name} is not available right now` };
+      const components = item.components.map(c => {
+        const { item: part, variant } = bundles.resolveComponent(c, getItem);
+        need(part, variant, c.quantity * line.quantity);
+        return { itemId: part.id, variantId: c.variantId, variantLabel: variants.variantLabel(variant), itemName: part.name, quantity: c.quantity };
+      });
+      const unitPrice = Number(item.price);
+      lines.push({ itemId: item.id, itemName: item.name, quantity: line.quantity, unitPrice,
+        amount: +(unitPrice * line.quantity).toFixed(2), components });
+      categoryIds.push(item.categoryId || null);
+      continue;
+    }
+    let variant = null;
+    if (variants.hasVariants(item)) {
+      if (line.variantId === null) return { error: `Choose an option for ${item.name}` };
+      variant = variants.findVariant(item, line.variantId);
+      if (!variant) return { error: `That option of ${item.name} is no longer available` };
+    }
+    need(item, variant, line.quantity);
+    const unitPrice = variants.unitPrice(item, variant);
+    lines.push({
+      itemId: item.id,
+      ...(variant ? { variantId: variant.id, variantLabel: variants.variantLabel(variant), sku: variant.sku } : {}),
+      itemName: item.name,
+      quantity: line.quantity,
+      unitPrice,
+      amount: +(unitPrice * line.quantity).toFixed(2)
+    });
+    categoryIds.push(item.categoryId || null);
+  }
+  const short = Array.from(demand.values()).find(d => d.stock < d.quantity);
+  if (short) return { error: `Not enough stock for ${short.label}` };
 
-  // Authorization:
-  // - Admin (username=admin + valid password) can cancel any order
-  // - Registered user can cancel their own order (username matches order.username and not 'guest')
-  // - Guest can cancel only with matching cancelToken
-  let authorized = false;
-  // admin check
-  if (username && password && username.toLowerCase() === 'admin' && checkAdminCredentials(username, password)) {
-    authorized = true;
-  } else if (username && ord.username && ord.username.toLowerCase() !== 'guest' && username.toLowerCase() === ord.username.toLowerCase()) {
-    // registered owner cancelling (no password required here because front-end sends username only for registered user flow;
-    // if you want to enforce password for registered users, extend checkAdminCredentials or add proper auth)
-    authorized = true;
-  } else if (cancelToken && ord.cancelToken && cancelToken === ord.cancelToken) {
-    // guest cancellation by token
-    authorized = true;
-  }
-
-  if (!authorized) {
-    return res.status(403).json({ error: 'Not authorized to cancel this order' });
-  }
-
-  // perform cancellation and restore stock if item exists
-  const item = data.items.find(i => i.id === Number(ord.itemId));
-  if (item) {
-    item.stock = Number(item.stock || 0) + Number(ord.quantity || 0);
-  }
-  ord.status = 'canceled';
-  ord.canceledAt = new Date().toISOString();
-
-  saveData(data);
-  res.json({ order: ord });
-});
-
-// Admin auth check using username & password in body/query
-function checkAdminCredentials(username, password) {
-  if (!username || !password) return false;
-  if (username.toLowerCase() !== 'admin') return false;
-  const data = loadData();
-  const admin = data.accounts.find(a => a.username && a.username.toLowerCase() === 'admin');
-  if (!admin || !admin.passwordHash) return false;
-  return bcrypt.compareSync(password, admin.passwordHash);
-}
-
-function checkAdmin(req, res) {
-  const username = (req.body.username || req.query.username || '').toString();
-  const password = (req.body.password || req.query.password || '').toString();
-  if (!checkAdminCredentials(username, password)) {
-    res.status(403).json({ error: 'Admin authentication required (username & password)' });
-    return false;
+  const applicable = promotionsFor(account, code);
+  if (applicable.error) return applicable;
+  const priced = promotions.applyPromotions(lines.map((l, i) => ({ ...l, categoryId: categoryIds[i] })), applicable.promotions);
+  const wanted = code ? String(code).trim().toUpperCase() : null;
+  if (wanted && !priced.discounts.some(d => d.code === wanted)) {
+    return { error: `Code ${wanted} doesn't apply to anything in this order` };
   }
-  return true;
+  lines.forEach((l, i) => { l.discount = priced.lineDiscounts[i]; });
+  return { lines, subtotal: priced.subtotal, discount: priced.discount, discounts: priced.discounts, amount: priced.amount };
 }
 
-// Update stock
-app.post('/api/admin/update-stock', (req, res) => {
-  if (!checkAdmin(req, res)) return;
-  const { itemId, newStock } = req.body;
-  const data = loadData();
-  const item = data.items.find(i => i.id === Number(itemId));
-  if (!item) return res.status(400).json({ error: 'Item not found' });
-  item.stock = Number(newStock);
-  saveData(data);
-  res.json({ item });
-});
+// Creates one order for all lines, with promotions (and the optional discount code) applied.
+// Every line's stock is checked before any is reserved, and the whole thing runs in one
+// transaction, so either every line is reserved or nothing changes. Passing a slotId books
+// the order into that pickup slot as well. Returns { order } or { error }.
+function createOrder(account, rawLines, buyerFullName, code = null, slotId = null) {
+  const normalized = normalizeLines(rawLines);
+  if (normalized.error) return normalized;
+  const slot = slotId ? store.pickupSlots.get(Number(slotId)) : null;
+  if (slotId && !slot) return { error: 'Pickup slot not found' };
 
-// Update arrival date for an order
-app.post('/api/admin/update-arrival', (req, res) => {
-  if (!checkAdmin(req, res)) return;
-  const { orderId, arrivalDate } = req.body;
-  const data = loadData();
-  const ord = data.orders.find(o => o.id === Number(orderId));
-  if (!ord) return res.status(400).json({ error: 'Order not found' });
-  ord.arrivalDate = arrivalDate || null;
-  ord.status = arrivalDate ? 'scheduled' : 'processing';
-  saveData(data);
-  res.json({ order: ord });
-});
+  // determine buyer name
+  const username = account ? account.username : 'guest';
+  let buyerName = 'guest';
+  if (account) {
+    buyerName = account.fullName || account.username;
+  } else {
+    if (!buyerFullName || typeof buyerFullName !== 'string' || buyerFullName.trim().length < 2) {
+      return { error: 'Full name required for guest purchases' };
+    }
+    buyerName = buyerFullName.trim();
+  }
 
-// Create item (JSON) - admin only
-app.post('/api/admin/create-item', (req, res) => {
-  if (!checkAdmin(req, res)) return;
-  const { name, description = '', price = 0, stock = 0, image = '' } = req.body || {};
-  if (!name) return res.status(400).json({ error: 'Item name required' });
-  const data = loadData();
-  const newItem = {
-    id: nextId(data.items),
-    name,
-    description,
-    price: Number(price),
-    stock: Number(stock),
-    image: image || '',
-    active: true,
-    createdAt: new Date().toISOString()
-  };
-  data.items.push(newItem);
-  saveData(data);
-  res.json({ item: newItem });
-});
+  return store.transaction(() => {
+    const priced = priceLines(account, normalized.lines, code);
+    if (priced.error) return priced;
+    const { lines } = priced;
+    const full = slot && slotProblem(slot, null);
+    if (full) return { error: full };
 
-// Take down item (set active=false)
-app.post('/api/admin/takedown-item', (req, res) => {
-  if (!checkAdmin(req, res)) return;
-  const { itemId } = req.body;
-  const data = loadData();
-  const item = data.items.find(i => i.id === Number(itemId));
-  if (!item) return res.status(400).json({ error: 'Item not found' });
-  item.active = false;
-
-  // Cancel related orders and restore stock for those orders
-  let canceledCount = 0;
-  data.orders.forEach(o => {
-    if (o.itemId === item.id && o.status !== 'canceled') {
-      // restore stock
-      item.stock = Number(item.stock || 0) + Number(o.quantity || 0);
-      o.status = 'canceled';
-      o.canceledAt = new Date().toISOString();
-      canceledCount++;
+    const order = {
+      username,
+      buyerName,
+      lines,
+      subtotal: priced.subtotal,
+      discount: priced.discount,
+      discounts: priced.discounts,
+      amount: priced.amount,
+      payment: payments.paymentOf({}),
+      status: 'processing',
+      statusHistory: [],
+      arrivalDate: null,
+      createdAt: new Date().toISOString()
+    };
+    order.statusHistory.push({ status: 'processing', at: order.createdAt, by: username, note: '' });
+
+    // generate and store cancel token for guest orders so guest can cancel later
+    if (!order.username || order.username.toLowerCase() === 'guest') {
+      order.cancelToken = generateCancelToken();
     }
+
+    const saved = store.orders.insert(order);
+    // decrement stock (reserve); bundle lines reserve their components
+    lines.forEach(l => {
+      if (!l.components) {
+        adjustStock(l.itemId, -l.quantity, { type: 'sale', actor: username, orderId: saved.id, variantId: l.variantId });
+        return;
+      }
+      l.components.forEach(c => adjustStock(c.itemId, -c.quantity * l.quantity, {
+        type: 'sale', actor: username, orderId: saved.id, variantId: c.variantId, reason: `Bundle: ${l.itemName}`
+      }));
+    });
+    return slot ? bookPickup(saved, slot, username) : { order: saved };
   });
+}
 
-  saveData(data);
-  res.json({ success: true, canceledOrders: canceledCount });
-});
+// Puts every line's quantity back into stock, into the variant (or, for bundles, the
+// components) it was taken from; items that no longer exist and commission lines are skipped. Call inside a
+// transaction together with the status change.
+// type is the ledger movement type: 'cancel_restock' or 'takedown'.
+function restockOrder(order, actor, type = 'cancel_restock') {
+  (order.lines || []).filter(line => line.itemId).forEach(line => {
+    const parts = line.components
+      ? line.components.map(c => ({ ...c, quantity: c.quantity * Number(line.quantity || 0), reason: `Bundle: ${line.itemName}` }))
+      : [{ itemId: line.itemId, variantId: line.variantId, quantity: Number(line.quantity || 0), reason: '' }];
+    parts.forEach(p => {
+      if (!store.items.get(p.itemId)) return;
+      adjustStock(p.itemId, p.quantity, { type, actor, orderId: order.id, variantId: p.variantId, reason: p.reason });
+    });
+  });
+}
 
-// Add helper to check general user credentials (not only admin)
-function checkUserCredentials(username, password) {
-  if (!username || !password) return false;
-  const data = loadData();
-  const acc = data.accounts.find(a => a.username && a.username.toLowerCase() === username.toLowerCase());
-  if (!acc || !acc.passwordHash) return false;
-  return bcrypt.compareSync(password, acc.passwordHash);
+// Order as sent to clients. The guest cancel token is a secret: it is only returned
+// once, in the response that creates the order, and never serialized anywhere else.
+function publicOrder(order) {
+  const { cancelToken, ...visible } = order;
+  return visible;
 }
 
-// Get wishlist for a user (requires username & password for non-guest)
-app.get('/api/wishlist', (req, res) => {
-  const username = (req.query.username || '').toString();
-  const password = (req.query.password || '').toString();
-  if (!username || username.toLowerCase() === 'guest') {
-    // Guests use client-side localStorage
-    return res.json({ wishlist: [] });
-  }
-  if (!checkUserCredentials(username, password)) {
-    return res.status(403).json({ error: 'Authentication required' });
-  }
-  const data = loadData();
-  const acc = data.accounts.find(a => a.username && a.username.toLowerCase() === username.toLowerCase());
-  res.json({ wishlist: acc && Array.isArray(acc.wishlist) ? acc.wishlist : [] });
-});
+const ORDER_SORTS = {
+  createdAt: o => o.createdAt || '',
+  id: o => o.id,
+  amount: o => Number(o.amount || 0),
+  status: o => o.status || '',
+  buyer: o => String(o.buyerName || o.username || '').toLowerCase()
+};
+const ORDER_PAGE_SIZE = 25;
+const ORDER_PAGE_SIZE_MAX = 100;
 
-// Save wishlist for user (body: { username, password, wishlist: [ids] })
-app.post('/api/wishlist', (req, res) => {
-  const { username, password, wishlist } = req.body || {};
-  if (!username || username.toLowerCase() === 'guest') {
-    return res.status(400).json({ error: 'Invalid username for server-side wishlist' });
-  }
-  if (!checkUserCredentials(username, password)) {
-    return res.status(403).json({ error: 'Authentication required' });
-  }
-  const data = loadData();
-  const acc = data.accounts.find(a => a.username && a.username.toLowerCase() === username.toLowerCase());
-  if (!acc) return res.status(400).json({ error: 'Account not found' });
-  acc.wishlist = Array.from(new Set((Array.isArray(wishlist) ? wishlist.map(n => Number(n)) : [])));
-  saveData(data);
-  res.json({ wishlist: acc.wishlist });
-});
+// Date-only bounds cover the whole day ("to=2024-05-01" includes orders placed that day)
+function parseDateBound(value, endOfDay) {
+  if (!value) return null;
+  const str = String(value);
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(str) ? `${str}T${endOfDay ? '23:59:59.999' : '00:00:00'}` : str);
+  return Number.isNaN(time) ? undefined : time;
+}
 
-// fallback to index.html for SPA routing
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
-});
+// Filters, sorts and pages a list of orders from query params:
+// status (comma separated), from, to, itemId, buyer (name/username contains),
+// sort (see ORDER_SORTS), order (asc|desc, default desc), page (1-based), pageSize.
+// Returns { orders, total, page, pageSize } or { error }.
+function queryOrders(orders, query) {
+  const statuses = query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : [];
+  const unknown = statuses.find(s => !orderStatus.isValidStatus(s));
+  if (unknown) return { error: `Unknown status: ${unknown}` };
+  const from = parseDateBound(query.from, false);
+  const to = parseDateBound(query.to, true);
+  if (from === undefined || to === undefined) return { error: 'Invalid date range' };
+  const itemId = query.itemId ? Number(query.itemId) : null;
+  const buyer = query.buyer ? String(query.buyer).trim().toLowerCase() : '';
+  const sortKey = query.sort || 'createdAt';
+  if (!ORDER_SORTS[sortKey]) return { error: `Unknown sort: ${sortKey}` };
+  const dir = query.order === 'asc' ? 1 : -1;
+  const page = Math.max(1, Math.floor(Number(query.page)) || 1);
+  const pageSize = Math.min(ORDER_PAGE_SIZE_MAX, Math.max(1, Math.floor(Number(query.pageSize)) || ORDER_PAGE_SIZE));
+
+  const matched = orders.filter(o => {
+    if (statuses.length && !statuses.includes(o.status)) return false;
+    const created = Date.parse(o.createdAt);
+    if (from !== null && created < from) return false;
+    if (to !== null && created > to) return false;
+    if (itemId && !(o.lines || []).some(l => l.itemId === itemId)) return false;
+    if (buyer && !`${o.buyerName || ''} ${o.username || ''}`.toLowerCase().includes(buyer)) return false;
+    return true;
+  });
+  const key = ORDER_SORTS[sortKey];
+  matched.sort((a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    if (ka < kb) return -dir;
+    if (ka > kb) return dir;
+    return (a.id - b.id) * dir;
+  });
+  return {
+    orders: matched.slice((page - 1) * pageSize, page * pageSize),
+    total: matched.length,
+    page,
+    pageSize
+  };
+}
+
+// Moves an order to a new status, restoring stock when it is canceled.
+// Returns { order } or { error } (invalid transition).
+// restockType is the ledger type used for a cancellation ('cancel_restock' or 'takedown').
+function changeOrderStatus(order, to, actor, { note = '', restockType = 'cancel_restock' } = {}) {
+  return store.transaction(() => {
+    const error = orderStatus.applyStatus(order, to, actor, note);
+    if (error) return { error };
+    if (to === 'canceled') {
+      restockOrder(order, actor, restockType);
+      if (order.commissionId) cancelCommission(order.commissionId, actor, note || `Order #${order.id} canceled`);
+    }
+    notifyOrderStatus(order, to, actor, note);
+    return { order: store.orders.update(order) };
+  });
+}
+
+// Saves the order's arrival date, scheduling a processing/no-show order when one is set and
+// moving a scheduled order back to processing when it is cleared. Orders further along only
+// get the new date. Returns { order } or { error }.
+// A new date also means a new day-before reminder.
+// Arrival dates are local times like the admin's datetime-local input sends ('YYYY-MM-DDTHH:MM',
+// seconds optional); dates that don't exist (2030-02-31) are refused rather than rolled over
+const ARRIVAL_RE = /^(\d{4})-(\d{2})-(\d{2})T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+function isValidArrival(value) {
+  const match = typeof value === 'string' && ARRIVAL_RE.exec(value);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function saveArrival(order, actor, note) {
+  let to = null;
+  if (order.arrivalDate && ['processing', 'no_show'].includes(order.status)) to = 'scheduled';
+  if (!order.arrivalDate && order.status === 'scheduled') to = 'processing';
+  delete order.reminderSentAt;
+  delete order.pickupConfirmation;
+  if (to) return changeOrderStatus(order, to, actor, { note });
+  if (order.arrivalDate && order.status === 'scheduled') notifyOrderStatus(order, 'scheduled', actor, note);
+  return { order: store.orders.update(order) };
+}
+
+// ---- Pickup slots ----
+// Orders whose pickup can still be booked or moved
+const BOOKABLE_STATUSES = ['processing', 'scheduled', 'no_show'];
+
+// Places taken per slot id (every booked order that wasn't canceled)
+function slotBookings() {
+  const booked = {};
+  store.orders.all().forEach(o => {
+    if (o.pickup && orderStatus.OPEN_STATUSES.includes(o.status)) booked[o.pickup.slotId] = (booked[o.pickup.slotId] || 0) + 1;
+  });
+  return booked;
+}
+
+// Slot as sent to clients, with how many places are left
+function slotView(slot, booked = slotBookings()) {
+  const taken = booked[slot.id] || 0;
+  return { ...slot, booked: taken, remaining: Math.max(0, slot.capacity - taken), over: pickupSlots.isOver(slot) };
+}
+
+// Why the order (null for a new one) can't be booked into the slot, or null
+function slotProblem(slot, orderId) {
+  if (pickupSlots.isOver(slot)) return 'That pickup slot is over';
+  const taken = store.orders.filter(o => o.id !== orderId && o.pickup && o.pickup.slotId === slot.id && orderStatus.OPEN_STATUSES.includes(o.status)).length;
+  if (taken >= slot.capacity) return `That pickup slot (${pickupSlots.slotLabel(slot)}) is full`;
+  return null;
+}
+
+// Books the order into the slot, or clears its pickup when slot is null, and schedules it
+// like a manual arrival date would. Returns { order } or { error }.
+function bookPickup(order, slot, actor) {
+  return store.transaction(() => {
+    if (!BOOKABLE_STATUSES.includes(order.status)) {
+      return { error: `Order is ${orderStatus.STATUS_LABELS[order.status]}; its pickup can no longer change` };
+    }
+    const problem = slot && slotProblem(slot, order.id);
+    if (problem) return { error: problem };
+    order.pickup = slot ? pickupSlots.pickupFor(slot) : null;
+    order.arrivalDate = slot ? `${slot.date}T${slot.startTime}` : null;
+    return saveArrival(order, actor, slot ? `Pickup ${pickupSlots.slotLabel(slot)}` : 'Pickup cleared');
+  });
+}
+
+// Sends the slot's new availability to every client
+function publishSlot(slotId) {
+  const slot = slotId ? store.pickupSlots.get(slotId) : null;
+  if (slot) events.publish('slot', { slot: slotView(slot) });
+}
+
+// Status labels and allowed transitions, so the frontend doesn't hardcode them
+app.get('/api/order-statuses', (req, res) => {
+  res.json({
+    labels: orderStatus.STATUS_LABELS,
+    transitions: orderStatus.TRANSITIONS,
+    open: orderStatus.OPEN_STATUSES,
+    bookable: BOOKABLE_STATUSES
+  });
+});
+
+// Single-item order (kept for older clients)
+// Accepts: { buyerFullName (required for guest), itemId, variantId (items with options), quantity=1, code? }
+// The buyer is the signed-in account (session token); without one the order is a guest order.
+// Both order routes return the cancelToken for guest orders; this is the only time it is sent.
+app.post('/api/order', (req, res) => {
+  const { buyerFullName, itemId, variantId = null, quantity = 1, code = null, slotId = null } = req.body || {};
+  if (!itemId) return res.status(400).json({ error: 'No itemId provided' });
+  if (!allowOrder(req, res)) return;
+  const result = createOrder(req.account, [{ itemId, variantId, quantity }], buyerFullName, code, slotId);
+  if (result.error) return res.status(400).json({ error: result.error });
+  publishOrder(result.order);
+  res.json({ order: result.order });
+});
+
+// Price a cart before checkout: { lines?, code? } -> { lines, subtotal, discount, discounts, amount }.
+// Same rules as checkout (signed-in accounts may omit lines to price their server-side cart).
+app.post('/api/quote', (req, res) => {
+  const { lines, code = null } = req.body || {};
+  const requested = !lines && req.account ? (req.account.cart || []) : lines;
+  const priced = priceLines(req.account, requested, code);
+  if (priced.error) return res.status(400).json({ error: priced.error });
+  res.json(priced);
+});
+
+// Checkout: { lines?: [{ itemId, variantId?, quantity }], buyerFullName?, code?, slotId? }
+// Signed-in accounts may omit lines to check out their server-side cart, which is
+// emptied once the order is placed; with explicit lines the saved cart is kept. Guests send the lines from their local cart.
+// slotId books a pickup slot right away; buyers can also pick one later (/api/choose-slot).
+app.post('/api/checkout', (req, res) => {
+  const { lines, buyerFullName, code = null, slotId = null } = req.body || {};
+  const useServerCart = !lines && req.account;
+  const requested = useServerCart ? (req.account.cart || []) : lines;
+  if (!allowOrder(req, res)) return;
+  const result = createOrder(req.account, requested, buyerFullName, code, slotId);
+  if (result.error) return res.status(400).json({ error: result.error });
+  // explicit lines (e.g. buy now) leave the saved cart alone
+  if (useServerCart) {
+    const acc = store.accounts.get(req.account.username);
+    acc.cart = [];
+    store.accounts.update(acc);
+  }
+  publishOrder(result.order);
+  res.json({ order: result.order });
+});
+
+// Orders visible to the signed-in account, filtered/paged by queryOrders().
+// Accounts with orders.view get every order (scope "all") unless they pass mine=1;
+// everyone else only gets their own (scope "own"). Guests use /api/orders/lookup.
+app.get('/api/orders', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const all = can(req.account, 'orders.view') && req.query.mine !== '1';
+  const username = req.account.username.toLowerCase();
+  const visible = all ? store.orders.all() : store.orders.filter(o => String(o.username || '').toLowerCase() === username);
+  const result = queryOrders(visible, req.query);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ ...result, orders: result.orders.map(publicOrder), scope: all ? 'all' : 'own' });
+});
+
+// Guest order lookup: { orders: [{ orderId, cancelToken }] } -> the guest orders whose token matches.
+// Unknown ids and wrong tokens are silently left out, but wrong tokens count as guesses.
+app.post('/api/orders/lookup', (req, res) => {
+  const wanted = Array.isArray(req.body && req.body.orders) ? req.body.orders.slice(0, 50) : null;
+  if (!wanted) return res.status(400).json({ error: 'orders must be an array of { orderId, cancelToken }' });
+  const guesses = LIMITS['order-code'].limiter;
+  const ip = clientIp(req);
+  const wait = guesses.retryAfter(ip);
+  if (wait) return tooMany(res, wait, 'Too many wrong order codes');
+  const orders = [];
+  wanted.forEach(w => {
+    const ord = w && store.orders.get(Number(w.orderId));
+    if (!ord || !ord.cancelToken) return;
+    if (typeof w.cancelToken === 'string' && w.cancelToken === ord.cancelToken) orders.push(publicOrder(ord));
+    else guesses.fail(ip);
+  });
+  res.json({ orders });
+});
+
+// Add helper to generate simple cancel tokens
+function generateCancelToken() {
+  // 24-char safe token
+  return [...Array(24)].map(() => "abcdefghijklmnopqrstuvwxyz0123456789"[Math.floor(Math.random()*36)]).join('');
+}
+
+// Whether the caller may act on the order for its buyer (cancel it, pick its pickup slot):
+// - Accounts with orders.manage can act on any order
+// - Signed-in user on their own order (session username matches order.username)
+// - Guest only with the matching cancelToken
+function mayActOnOrder(acc, ord, cancelToken) {
+  if (can(acc, 'orders.manage')) return true;
+  if (acc && ord.username && ord.username.toLowerCase() !== 'guest' && acc.username.toLowerCase() === ord.username.toLowerCase()) {
+    return true;
+  }
+  return !!(cancelToken && ord.cancelToken && cancelToken === ord.cancelToken);
+}
+
+// mayActOnOrder() for the buyer routes: wrong cancelTokens count against the caller's IP so order
+// codes can't be guessed. Sends the 403 (with `message`) or 429 and returns false when refused.
+function guardOrderAccess(req, res, ord, cancelToken, message) {
+  if (mayActOnOrder(req.account, ord, null)) return true;
+  const guesses = LIMITS['order-code'].limiter;
+  const ip = clientIp(req);
+  const wait = guesses.retryAfter(ip);
+  if (wait) {
+    tooMany(res, wait, 'Too many wrong order codes');
+    return false;
+  }
+  if (mayActOnOrder(req.account, ord, cancelToken)) return true;
+  const locked = cancelToken ? guesses.fail(ip) : 0;
+  if (locked) tooMany(res, locked, 'Too many wrong order codes');
+  else res.status(403).json({ error: message });
+  return false;
+}
+
+// Cancel order endpoint
+app.post('/api/cancel-order', (req, res) => {
+  const { orderId, cancelToken } = req.body || {};
+  if (!orderId) return res.status(400).json({ error: 'orderId required' });
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  if (ord.status === 'canceled') return res.status(400).json({ error: 'Order already canceled' });
+  if (!orderStatus.canCancel(ord)) {
+    return res.status(400).json({ error: `Order can no longer be canceled (${orderStatus.STATUS_LABELS[ord.status]})` });
+  }
+
+  const acc = req.account;
+  if (!guardOrderAccess(req, res, ord, cancelToken, 'Not authorized to cancel this order')) return;
+
+  // perform cancellation and restore stock for every line
+  const result = changeOrderStatus(ord, 'canceled', acc ? acc.username : 'guest');
+  if (result.error) return res.status(400).json({ error: result.error });
+  publishOrder(result.order);
+  res.json({ order: publicOrder(result.order) });
+});
+
+// Upcoming pickup slots buyers can choose from, soonest first
+app.get('/api/pickup-slots', (req, res) => {
+  const booked = slotBookings();
+  const slots = store.pickupSlots.filter(s => !pickupSlots.isOver(s)).sort(pickupSlots.compareSlots);
+  res.json({ slots: slots.map(s => slotView(s, booked)) });
+});
+
+// Book or change an order's pickup slot: { orderId, slotId (null clears it), cancelToken? }.
+// Same authorization as canceling; the slot's capacity is enforced.
+app.post('/api/choose-slot', (req, res) => {
+  const { orderId, slotId = null, cancelToken } = req.body || {};
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  if (!guardOrderAccess(req, res, ord, cancelToken, 'Not authorized to change this order')) return;
+  const slot = slotId ? store.pickupSlots.get(Number(slotId)) : null;
+  if (slotId && !slot) return res.status(400).json({ error: 'Pickup slot not found' });
+  const previous = ord.pickup ? ord.pickup.slotId : null;
+  const result = bookPickup(ord, slot, req.account ? req.account.username : 'guest');
+  if (result.error) return res.status(400).json({ error: result.error });
+  publishOrder(result.order);
+  if (previous && previous !== (slot && slot.id)) publishSlot(previous);
+  res.json({ order: publicOrder(result.order) });
+});
+
+// What the buyer plans to bring at pickup: { orderId, amount (null clears it), cancelToken? }.
+// Same authorization as canceling.
+app.post('/api/pledge', (req, res) => {
+  const { orderId, amount = null, cancelToken } = req.body || {};
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  if (!guardOrderAccess(req, res, ord, cancelToken, 'Not authorized to change this order')) return;
+  const error = payments.applyPledge(ord, amount);
+  if (error) return res.status(400).json({ error });
+  const saved = store.orders.update(ord);
+  publishOrder(saved);
+  res.json({ order: publicOrder(saved) });
+});
+
+// Buyer's answer to the pickup reminder: { orderId, amount? (cash they will bring), cancelToken? }.
+// Stored on the order as pickupConfirmation so staff can see who is coming.
+app.post('/api/confirm-pickup', (req, res) => {
+  const { orderId, amount = null, cancelToken } = req.body || {};
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  if (!guardOrderAccess(req, res, ord, cancelToken, 'Not authorized to change this order')) return;
+  if (!ord.arrivalDate || !orderStatus.OPEN_STATUSES.includes(ord.status)) {
+    return res.status(400).json({ error: 'This order has no upcoming pickup to confirm' });
+  }
+  if (amount !== null && amount !== '') {
+    const error = payments.applyPledge(ord, amount);
+    if (error) return res.status(400).json({ error });
+  }
+  ord.pickupConfirmation = {
+    at: new Date().toISOString(),
+    by: req.account ? req.account.username : 'guest',
+    pledged: payments.paymentOf(ord).pledged
+  };
+  const saved = store.orders.update(ord);
+  publishOrder(saved);
+  res.json({ order: publicOrder(saved) });
+});
+
+// The caller's notifications, newest first: ?unread=1 for unread only
+app.get('/api/notifications', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const username = req.account.username.toLowerCase();
+  const mine = store.notifications.filter(n => n.username.toLowerCase() === username);
+  const unread = mine.filter(n => !n.read).length;
+  const list = (req.query.unread === '1' ? mine.filter(n => !n.read) : mine).reverse().slice(0, notifications.LIST_LIMIT);
+  res.json({ notifications: list, unread, types: notifications.TYPES });
+});
+
+// Mark notifications read: { ids: [...] } or { all: true }
+app.post('/api/notifications/read', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const { ids, all = false } = req.body || {};
+  if (!all && !Array.isArray(ids)) return res.status(400).json({ error: 'ids must be an array (or pass all: true)' });
+  const wanted = new Set((ids || []).map(Number));
+  const username = req.account.username.toLowerCase();
+  const now = new Date().toISOString();
+  let changed = 0;
+  store.transaction(() => {
+    store.notifications.filter(n => n.username.toLowerCase() === username && !n.read && (all || wanted.has(n.id))).forEach(n => {
+      store.notifications.update({ ...n, read: true, readAt: now });
+      changed += 1;
+    });
+  });
+  const unread = store.notifications.count(n => n.username.toLowerCase() === username && !n.read);
+  res.json({ marked: changed, unread });
+});
+
+// ---- Reviews ----
+// Verified buyers rate items (see reviews.js); the item's aggregate is stored on the item.
+
+// Recomputes item.rating from its visible reviews (call inside the review's transaction)
+function refreshRating(itemId) {
+  const item = store.items.get(Number(itemId));
+  if (!item) return;
+  const { average, count } = reviews.summarize(store.reviews.filter(r => r.itemId === item.id));
+  item.rating = { average, count };
+  store.items.update(item);
+}
+
+// The item's new rating goes out as an item event; 'review' tells open review lists to refetch
+function publishReviews(itemId) {
+  publishItems([itemId]);
+  events.publish('review', { itemId: Number(itemId) });
+}
+
+function mayReview(acc, itemId) {
+  const username = acc.username.toLowerCase();
+  return !!store.orders.find(o => String(o.username || '').toLowerCase() === username && reviews.ordered(o, itemId));
+}
+
+function ownsReview(acc, review) {
+  return !!acc && acc.username.toLowerCase() === String(review.username).toLowerCase();
+}
+
+// Reviews of an item (?itemId=), newest first: visible ones plus the caller's own, with the
+// rating summary, the caller's review and whether they may write one
+app.get('/api/reviews', (req, res) => {
+  const item = store.items.get(Number(req.query.itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+  const all = store.reviews.filter(r => r.itemId === item.id);
+  const mine = req.account ? all.find(r => ownsReview(req.account, r)) || null : null;
+  res.json({
+    reviews: all.filter(r => !r.hidden || r === mine).sort((a, b) => b.id - a.id),
+    summary: reviews.summarize(all),
+    mine,
+    canReview: !!req.account && mayReview(req.account, item.id)
+  });
+});
+
+// Write or edit the caller's review: { itemId, rating, body? }. Needs an order for the item
+// that wasn't canceled. Editing keeps a hidden review hidden.
+app.post('/api/reviews', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const item = store.items.get(Number((req.body || {}).itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+  if (!mayReview(req.account, item.id)) {
+    return res.status(400).json({ error: 'Only customers who have ordered this item can review it' });
+  }
+  const normalized = reviews.normalizeReview(req.body);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  const now = new Date().toISOString();
+  const saved = store.transaction(() => {
+    const existing = store.reviews.find(r => r.itemId === item.id && ownsReview(req.account, r));
+    const review = existing
+      ? store.reviews.update({ ...existing, ...normalized.review, updatedAt: now })
+      : store.reviews.insert({
+        itemId: item.id,
+        username: req.account.username,
+        name: req.account.fullName || req.account.username,
+        ...normalized.review,
+        hidden: false,
+        hiddenBy: null,
+        hiddenReason: '',
+        response: null,
+        createdAt: now,
+        updatedAt: now
+      });
+    refreshRating(item.id);
+    return review;
+  });
+  publishReviews(item.id);
+  res.json({ review: saved });
+});
+
+// Delete the caller's own review: { reviewId }
+app.post('/api/reviews/delete', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const review = store.reviews.get(Number((req.body || {}).reviewId));
+  if (!review || !ownsReview(req.account, review)) return res.status(400).json({ error: 'Review not found' });
+  store.transaction(() => {
+    store.reviews.remove(review.id);
+    refreshRating(review.itemId);
+  });
+  publishReviews(review.itemId);
+  res.json({ ok: true });
+});
+
+// ---- Feedback ----
+// Submitters never see internal notes
+function publicFeedback(entry) {
+  const { notes, ...rest } = entry;
+  return rest;
+}
+
+// Send feedback: { category, message, orderId?, name? }. Guests may send it too (name is only used
+// for them); staff can only reply to signed-in submitters. An order reference must be the
+// submitter's own order (any guest order for guests).
+app.post('/api/feedback', (req, res) => {
+  const normalized = feedback.normalizeSubmission(req.body);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  const { category, message, orderId } = normalized.feedback;
+  const acc = req.account;
+  if (orderId) {
+    const ord = store.orders.get(orderId);
+    const owner = String((ord && ord.username) || '').toLowerCase();
+    const allowed = ord && (acc ? owner === acc.username.toLowerCase() || can(acc, 'orders.view') : owner === 'guest');
+    if (!allowed) return res.status(400).json({ error: `Order #${orderId} not found` });
+  }
+  const createdAt = new Date().toISOString();
+  const entry = store.feedback.insert({
+    username: acc ? acc.username : null,
+    name: acc ? acc.fullName || acc.username : String((req.body || {}).name || '').trim().slice(0, 60) || 'Anonymous',
+    category,
+    message,
+    orderId,
+    status: 'new',
+    notes: [],
+    replies: [],
+    createdAt,
+    updatedAt: createdAt
+  });
+  publishFeedback(entry);
+  res.json({ feedback: publicFeedback(entry) });
+});
+
+// ---- Commissions ----
+// Customers request made-to-order pieces, staff quote them (see commissions.js), and an
+// accepted quote becomes an order with a single line { commissionId, itemName, quantity: 1,
+// unitPrice, amount, discount } - there is no itemId, so no stock is reserved or restored.
+// Canceling that order cancels the commission.
+
+function commissionLabels() {
+  return { labels: commissions.STATUS_LABELS, transitions: commissions.TRANSITIONS };
+}
+
+// Marks the commission canceled if it is still being made (inside the order's transaction)
+function cancelCommission(commissionId, actor, note) {
+  const commission = store.commissions.get(commissionId);
+  if (!commission || !commissions.canTransition(commission.status, 'canceled')) return;
+  commissions.applyStatus(commission, 'canceled', actor, note);
+  store.commissions.update(commission);
+}
+
+// Accepting a quote: the commission gets a due date and an order for the quoted price
+function acceptCommission(commission, account, note) {
+  return store.transaction(() => {
+    const error = commissions.applyStatus(commission, 'accepted', account.username, note);
+    if (error) return { error };
+    const createdAt = new Date().toISOString();
+    const price = Number(commission.quote.price);
+    const order = store.orders.insert({
+      username: commission.username,
+      buyerName: commission.buyerName,
+      lines: [{
+        commissionId: commission.id,
+        itemName: `Commission: ${commission.title}`,
+        quantity: 1,
+        unitPrice: price,
+        amount: price,
+        discount: 0
+      }],
+      subtotal: price,
+      discount: 0,
+      discounts: [],
+      amount: price,
+      payment: payments.paymentOf({}),
+      status: 'processing',
+      statusHistory: [{ status: 'processing', at: createdAt, by: account.username, note: `Commission #${commission.id} accepted` }],
+      arrivalDate: null,
+      commissionId: commission.id,
+      createdAt
+    });
+    commission.orderId = order.id;
+    commission.dueDate = new Date(Date.now() + commission.quote.leadDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    return { commission: store.commissions.update(commission), order };
+  });
+}
+
+// The caller's commission requests, newest first
+app.get('/api/commissions', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const username = req.account.username.toLowerCase();
+  const mine = store.commissions.filter(c => String(c.username).toLowerCase() === username).reverse();
+  res.json({ commissions: mine, ...commissionLabels() });
+});
+
+// Request a commission: { title, details, colors?, size?, personalization? } (signed-in accounts only,
+// since the customer has to come back to accept the quote)
+app.post('/api/commissions', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const normalized = commissions.normalizeRequest(req.body);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  const createdAt = new Date().toISOString();
+  const commission = store.commissions.insert({
+    username: req.account.username,
+    buyerName: req.account.fullName || req.account.username,
+    ...normalized.request,
+    status: 'requested',
+    quote: null,
+    dueDate: null,
+    orderId: null,
+    history: [{ status: 'requested', at: createdAt, by: req.account.username, note: '' }],
+    createdAt
+  });
+  publishCommission(commission);
+  res.json({ commission });
+});
+
+// Customer's answer: { commissionId, status: 'accepted' | 'declined' | 'withdrawn', note? }
+// Accepting returns the new order as well.
+app.post('/api/commissions/respond', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const { commissionId, status, note = '' } = req.body || {};
+  const commission = store.commissions.get(Number(commissionId));
+  if (!commission || String(commission.username).toLowerCase() !== req.account.username.toLowerCase()) {
+    return res.status(400).json({ error: 'Commission not found' });
+  }
+  if (!commissions.CUSTOMER_STATUSES.includes(status)) return res.status(400).json({ error: `Unknown response: ${status}` });
+  if (status === 'accepted') {
+    const result = acceptCommission(commission, req.account, String(note || ''));
+    if (result.error) return res.status(400).json({ error: result.error });
+    publishOrder(result.order);
+    return res.json({ commission: result.commission, order: result.order });
+  }
+  const error = commissions.applyStatus(commission, status, req.account.username, String(note || ''));
+  if (error) return res.status(400).json({ error });
+  const saved = store.commissions.update(commission);
+  publishCommission(saved);
+  res.json({ commission: saved });
+});
+
+// Every /api/admin/* route must be listed in permissions.ROUTE_PERMISSIONS;
+// the caller needs all capabilities listed for the route.
+// Guards a route area with its permission table: unlisted routes are refused, listed ones need
+// a signed-in account with every capability they name
+function routeGuard(table, area) {
+  return (req, res, next) => {
+    const required = table[`${req.method} ${req.path}`];
+    if (!required) return res.status(404).json({ error: `Unknown ${area} route` });
+    if (!req.account) return res.status(401).json({ error: 'Sign in required' });
+    const missing = required.filter(p => !can(req.account, p));
+    if (missing.length) {
+      return res.status(403).json({ error: `Missing permission: ${missing.join(', ')}` });
+    }
+    next();
+  };
+}
+
+app.use('/api/admin', routeGuard(permissions.ROUTE_PERMISSIONS, 'admin'));
+app.use('/api/employee', routeGuard(permissions.EMPLOYEE_ROUTE_PERMISSIONS, 'employee'));
+
+// ---- Audit log ----
+// Privileged actions are recorded by auditTrail() (what counts as one: audit.js). Before the
+// route runs it snapshots the target the body names; when the route answers with a success it
+// snapshots it again and appends the entry. Routes that parse their own body (multipart
+// uploads) hand over audit.snapshot() of the target as res.locals.audit.before, and any route can
+// add to the entry's details with res.locals.audit.details.
+function auditTarget(type, id) {
+  if (!type || id === undefined || id === null || id === '') return null;
+  const target = audit.TARGETS[type];
+  return store[target.collection].get(target.key ? String(id).toLowerCase() : Number(id));
+}
+
+function recordAudit(req, res, spec, before, payload) {
+  const extra = res.locals.audit || {};
+  const earlier = extra.before !== undefined ? extra.before : before;
+  let id = spec.field ? (req.body || {})[spec.field] : null;
+  if ((id === undefined || id === null || id === '') && spec.result && payload && payload[spec.result]) {
+    id = payload[spec.result][audit.TARGETS[spec.target].key || 'id'];
+  }
+  const after = audit.snapshot(spec.target, auditTarget(spec.target, id));
+  const named = after || earlier;
+  store.auditLog.insert({
+    at: new Date().toISOString(),
+    actor: req.account.username,
+    ip: clientIp(req),
+    action: spec.action,
+    label: spec.label,
+    target: named ? { type: spec.target, id: named[audit.TARGETS[spec.target].key || 'id'], name: audit.TARGETS[spec.target].name(named) } : null,
+    ...audit.diff(earlier, after),
+    details: { ...audit.details(req.body), ...(extra.details || {}) }
+  });
+}
+
+function auditTrail(req, res, next) {
+  const spec = audit.actionFor(req.method, req.path);
+  if (!spec || !req.account) return next();
+  const initial = auditTarget(spec.target, (req.body || {})[spec.field]);
+  // buyer routes only count when staff act on somebody else's order
+  if (spec.buyerRoute && (!initial || !can(req.account, 'orders.manage') ||
+    String(initial.username || '').toLowerCase() === req.account.username.toLowerCase())) return next();
+  const before = audit.snapshot(spec.target, initial);
+  const json = res.json.bind(res);
+  res.json = payload => {
+    if (res.statusCode < 400) {
+      try {
+        recordAudit(req, res, spec, before, payload);
+      } catch (err) {
+        console.error('audit', err);
+      }
+    }
+    return json(payload);
+  };
+  next();
+}
+
+// Audit entries, newest first: ?q= (search), actor, action, targetType, targetId, from, to
+// (dates or ISO times), page, pageSize -> { entries, total, page, pageSize, actors, actions }.
+// actors/actions list every value in the log, for the filter menus.
+const AUDIT_PAGE_SIZE = 50;
+app.get('/api/admin/audit-log', (req, res) => {
+  const { q = '', actor = '', action = '', targetType = '', targetId = '' } = req.query;
+  if (targetType && !audit.TARGETS[targetType]) return res.status(400).json({ error: `Unknown target type: ${targetType}` });
+  const from = parseDateBound(req.query.from, false);
+  const to = parseDateBound(req.query.to, true);
+  if (from === undefined || to === undefined) return res.status(400).json({ error: 'Invalid date range' });
+  const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+  const pageSize = Math.min(200, Math.max(1, Math.floor(Number(req.query.pageSize)) || AUDIT_PAGE_SIZE));
+  const log = store.auditLog.all();
+  const matched = log.filter(e => {
+    const at = Date.parse(e.at);
+    if (from !== null && at < from) return false;
+    if (to !== null && at > to) return false;
+    if (actor && String(e.actor).toLowerCase() !== String(actor).toLowerCase()) return false;
+    if (action && e.action !== action) return false;
+    if (targetType && (!e.target || e.target.type !== targetType)) return false;
+    if (targetId && (!e.target || String(e.target.id).toLowerCase() !== String(targetId).toLowerCase())) return false;
+    return audit.matches(e, q);
+  }).reverse();
+  const actions = new Map();
+  log.forEach(e => actions.set(e.action, e.label));
+  res.json({
+    entries: matched.slice((page - 1) * pageSize, page * pageSize),
+    total: matched.length,
+    page,
+    pageSize,
+    actors: Array.from(new Set(log.map(e => e.actor))).sort(),
+    actions: Array.from(actions, ([value, label]) => ({ action: value, label })).sort((a, b) => a.label.localeCompare(b.label))
+  });
+});
+
+// ---- Employee workspace ----
+// Fulfillment staff work from /api/employee/*: the day's pickups, packing and handing orders over,
+// and stock counts. None of it needs admin capabilities (see EMPLOYEE_ROUTE_PERMISSIONS).
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// The pickup list for ?date=YYYY-MM-DD (today by default), grouped by slot or arrival time
+app.get('/api/employee/pickups', (req, res) => {
+  const today = payments.localDay(new Date());
+  const date = req.query.date ? String(req.query.date) : today;
+  if (!DAY_RE.test(date)) return res.status(400).json({ error: 'Date must be YYYY-MM-DD' });
+  const groups = fulfillment.pickupGroups(store.orders.all(), date, today).map(g => ({
+    ...g,
+    orders: g.orders.map(o => ({ ...publicOrder(o), packing: fulfillment.packingOf(o), balance: payments.balanceOf(o).balance }))
+  }));
+  const listed = groups.flatMap(g => g.orders);
+  const counts = {
+    orders: listed.length,
+    packed: listed.filter(o => o.packing.every(Boolean)).length,
+    ready: listed.filter(o => o.status === 'ready').length,
+    handedOver: listed.filter(o => o.status === 'picked_up' || o.status === 'completed').length
+  };
+  res.json({ date, today, groups, counts });
+});
+
+// Tick a packing checklist line: { orderId, lineIndex (or 'all'), packed }
+app.post('/api/employee/packing', (req, res) => {
+  const { orderId, lineIndex, packed = true } = req.body || {};
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  if (!orderStatus.OPEN_STATUSES.includes(ord.status)) {
+    return res.status(400).json({ error: `Order is ${orderStatus.STATUS_LABELS[ord.status]}; nothing left to pack` });
+  }
+  const error = fulfillment.applyPacking(ord, lineIndex, packed, req.account.username);
+  if (error) return res.status(400).json({ error });
+  const saved = store.orders.update(ord);
+  publishOrder(saved);
+  res.json({ order: { ...publicOrder(saved), packing: fulfillment.packingOf(saved) } });
+});
+
+// Hand-over steps: { orderId, status: 'ready' | 'picked_up' | 'completed' | 'no_show', note? }.
+// An order can only be marked ready once every line is packed.
+app.post('/api/employee/order-status', (req, res) => {
+  const { orderId, status, note = '' } = req.body || {};
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  if (!fulfillment.EMPLOYEE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Orders can't be marked ${orderStatus.STATUS_LABELS[status] || status} from the workspace` });
+  }
+  if (status === 'ready' && !fulfillment.isPacked(ord)) {
+    return res.status(400).json({ error: 'Pack every line before marking the order ready' });
+  }
+  const result = changeOrderStatus(ord, status, req.account.username, { note: String(note || '') });
+  if (result.error) return res.status(400).json({ error: result.error });
+  publishOrder(result.order);
+  res.json({ order: { ...publicOrder(result.order), packing: fulfillment.packingOf(result.order) } });
+});
+
+// Stock on hand for counting: every listed item that has its own stock (bundles don't), by name
+app.get('/api/employee/stock', (req, res) => {
+  const items = store.items.filter(i => i.active !== false && !bundles.isBundle(i))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(i => ({
+      id: i.id,
+      name: i.name,
+      stock: Number(i.stock || 0),
+      variants: variants.hasVariants(i)
+        ? i.variants.map(v => ({ id: v.id, label: variants.variantLabel(v), stock: Number(v.stock || 0) }))
+        : []
+    }));
+  res.json({ items });
+});
+
+// Record a stock count: { counts: [{ itemId, variantId?, counted }], note? }. Each difference from
+// the stock on record goes into the ledger as a 'count' movement. All counts are checked first.
+app.post('/api/employee/stock-count', (req, res) => {
+  const { counts, note = '' } = req.body || {};
+  if (!Array.isArray(counts) || !counts.length) return res.status(400).json({ error: 'Enter at least one count' });
+  const checked = [];
+  for (const c of counts) {
+    const item = store.items.get(Number(c && c.itemId));
+    if (!item || item.active === false) return res.status(400).json({ error: `Item not found: ${c && c.itemId}` });
+    if (bundles.isBundle(item)) return res.status(400).json({ error: `${item.name} is a bundle; count its components instead` });
+    let variant = null;
+    if (variants.hasVariants(item)) {
+      variant = variants.findVariant(item, c.variantId);
+      if (!variant) return res.status(400).json({ error: `Choose which option of ${item.name} was counted` });
+    }
+    const counted = Number(c.counted);
+    if (c.counted === '' || !Number.isInteger(counted) || counted < 0) {
+      return res.status(400).json({ error: `Count for ${item.name} must be a whole number of at least 0` });
+    }
+    if (checked.some(x => x.item.id === item.id && x.variantId === (variant ? variant.id : null))) {
+      return res.status(400).json({ error: `${item.name} was counted twice` });
+    }
+    checked.push({ item, variantId: variant ? variant.id : null, label: variants.variantLabel(variant), counted });
+  }
+  const reason = `Stock count${String(note || '').trim() ? ': ' + String(note).trim().slice(0, 200) : ''}`;
+  const changes = store.transaction(() => checked.map(({ item, variantId, label, counted }) => {
+    const current = store.items.get(item.id);
+    const before = Number((variantId ? variants.findVariant(current, variantId) : current).stock || 0);
+    const delta = counted - before;
+    if (delta !== 0) adjustStock(item.id, delta, { type: 'count', actor: req.account.username, reason, variantId });
+    return { itemId: item.id, variantId, name: label ? `${item.name} (${label})` : item.name, before, counted, delta };
+  }));
+  publishItems(changes.filter(c => c.delta !== 0).map(c => c.itemId));
+  res.locals.audit = { details: { changes: changes.filter(c => c.delta !== 0) } };
+  res.json({ changes });
+});
+
+// Update stock: { itemId, variantId?, newStock, reason }
+// Items with variants are stocked per variant, so variantId is required for them.
+// Recorded in the ledger as an adjustment of (newStock - current stock).
+app.post('/api/admin/update-stock', (req, res) => {
+  const { itemId, variantId, newStock, reason } = req.body;
+  const item = store.items.get(Number(itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+  if (bundles.isBundle(item)) return res.status(400).json({ error: 'Bundle stock comes from its components; restock those instead' });
+  let variant = null;
+  if (variants.hasVariants(item)) {
+    variant = variants.findVariant(item, variantId);
+    if (!variant) return res.status(400).json({ error: 'Choose which variant to restock' });
+  }
+  const target = Number(newStock);
+  if (!Number.isInteger(target) || target < 0) return res.status(400).json({ error: 'Stock must be a whole number of at least 0' });
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return res.status(400).json({ error: 'Reason required for stock adjustments' });
+  }
+  const delta = target - Number((variant || item).stock || 0);
+  if (delta === 0) return res.json({ item });
+  const updated = store.transaction(() => adjustStock(item.id, delta, {
+    type: 'adjustment',
+    actor: req.account.username,
+    reason: reason.trim(),
+    variantId: variant ? variant.id : null
+  }));
+  publishItems([updated.id]);
+  res.json({ item: updated });
+});
+
+// Ledger entries for one item, newest first: ?itemId=
+app.get('/api/admin/stock-history', (req, res) => {
+  const item = store.items.get(Number(req.query.itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+  const movements = store.stockMovements.filter(m => m.itemId === item.id).reverse();
+  res.json({ item, movements });
+});
+
+// Recomputes stock from the ledger and flags items whose stock has drifted
+app.get('/api/admin/stock-reconcile', (req, res) => {
+  const results = reconcileStock();
+  res.json({ results, drifted: results.filter(r => r.drift !== 0) });
+});
+
+// Update arrival date for an order: { orderId, arrivalDate ('YYYY-MM-DDTHH:MM', or null to clear it) }
+// (see saveArrival for how the status follows). A hand-picked date replaces the order's pickup
+// slot, freeing its place.
+app.post('/api/admin/update-arrival', (req, res) => {
+  const { orderId, arrivalDate } = req.body || {};
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  if (arrivalDate !== null && !isValidArrival(arrivalDate)) {
+    return res.status(400).json({ error: 'Arrival date must be a valid date and time (YYYY-MM-DDTHH:MM), or null to clear it' });
+  }
+  if (!orderStatus.OPEN_STATUSES.includes(ord.status)) {
+    return res.status(400).json({ error: `Order is ${orderStatus.STATUS_LABELS[ord.status]}; arrival can no longer change` });
+  }
+  const previous = ord.pickup ? ord.pickup.slotId : null;
+  ord.arrivalDate = arrivalDate || null;
+  ord.pickup = null;
+  const result = saveArrival(ord, req.account.username, arrivalDate ? `Arrival ${arrivalDate}` : 'Arrival cleared');
+  if (result.error) return res.status(400).json({ error: result.error });
+  publishOrder(result.order);
+  if (previous) publishSlot(previous);
+  res.json({ order: publicOrder(result.order) });
+});
+
+// Cash handed over at pickup: { orderId, received, changeGiven?, note? } (see payments.applyCollection).
+// Refunds for canceled orders are recorded as change given with nothing received.
+app.post('/api/admin/record-payment', (req, res) => {
+  const body = req.body || {};
+  const ord = store.orders.get(Number(body.orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  const error = payments.applyCollection(ord, body, req.account.username);
+  if (error) return res.status(400).json({ error });
+  const saved = store.orders.update(ord);
+  publishOrder(saved);
+  res.json({ order: publicOrder(saved), ...payments.balanceOf(saved) });
+});
+
+// Cash drawer report: ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 7 days).
+// Expected vs collected per day and per employee, plus buyers with outstanding balances.
+app.get('/api/admin/cash-report', (req, res) => {
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  const today = payments.localDay(new Date().toISOString());
+  const weekAgo = payments.localDay(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString());
+  const from = req.query.from ? String(req.query.from) : weekAgo;
+  const to = req.query.to ? String(req.query.to) : today;
+  if (!day.test(from) || !day.test(to)) return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+  if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+  res.json({ ...payments.cashReport(store.orders.all(), { from, to }), labels: payments.STATUS_LABELS });
+});
+
+// Pickup slots for the admin list: upcoming ones, or every slot with ?includePast=1
+app.get('/api/admin/pickup-slots', (req, res) => {
+  const booked = slotBookings();
+  const slots = store.pickupSlots.filter(s => req.query.includePast === '1' || !pickupSlots.isOver(s))
+    .sort(pickupSlots.compareSlots);
+  res.json({ slots: slots.map(s => slotView(s, booked)) });
+});
+
+// Create or edit a slot: { id?, date, startTime, endTime, location, capacity }.
+// Capacity can't drop below the orders already booked; orders waiting in an edited
+// slot get the new time and place.
+app.post('/api/admin/save-pickup-slot', (req, res) => {
+  const body = req.body || {};
+  const normalized = pickupSlots.normalizeSlot(body);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  if (pickupSlots.isOver(normalized.slot)) return res.status(400).json({ error: 'That slot is already over' });
+  const now = new Date().toISOString();
+  if (!body.id) {
+    const slot = store.pickupSlots.insert({ ...normalized.slot, createdAt: now, updatedAt: now });
+    publishSlot(slot.id);
+    return res.json({ slot: slotView(slot) });
+  }
+  const existing = store.pickupSlots.get(Number(body.id));
+  if (!existing) return res.status(400).json({ error: 'Pickup slot not found' });
+  const taken = slotBookings()[existing.id] || 0;
+  if (normalized.slot.capacity < taken) {
+    return res.status(400).json({ error: `${taken} order(s) are already booked into this slot` });
+  }
+  const moved = [];
+  const slot = store.transaction(() => {
+    const saved = store.pickupSlots.update({ ...existing, ...normalized.slot, updatedAt: now });
+    store.orders.filter(o => o.pickup && o.pickup.slotId === saved.id && orderStatus.OPEN_STATUSES.includes(o.status))
+      .forEach(o => {
+        o.pickup = pickupSlots.pickupFor(saved);
+        o.arrivalDate = `${saved.date}T${saved.startTime}`;
+        delete o.reminderSentAt;
+        delete o.pickupConfirmation;
+        notifyOrderStatus(o, 'scheduled', req.account.username, 'Pickup slot changed');
+        moved.push(store.orders.update(o));
+      });
+    return saved;
+  });
+  moved.forEach(publishOrder);
+  publishSlot(slot.id);
+  res.json({ slot: slotView(slot), ordersUpdated: moved.length });
+});
+
+// Delete a slot that has no open orders booked into it. Past orders keep their copy of it but
+// lose the slotId, since slot ids are reused once the newest slot is deleted.
+app.post('/api/admin/delete-pickup-slot', (req, res) => {
+  const slot = store.pickupSlots.get(Number((req.body || {}).id));
+  if (!slot) return res.status(400).json({ error: 'Pickup slot not found' });
+  const booked = store.orders.filter(o => o.pickup && o.pickup.slotId === slot.id);
+  const waiting = booked.filter(o => orderStatus.OPEN_STATUSES.includes(o.status));
+  if (waiting.length) return res.status(400).json({ error: `Move its ${waiting.length} open order(s) to another slot first` });
+  store.transaction(() => {
+    booked.forEach(o => store.orders.update({ ...o, pickup: { ...o.pickup, slotId: null } }));
+    store.pickupSlots.remove(slot.id);
+  });
+  events.publish('slot', { slot: { id: slot.id, deleted: true } });
+  res.json({ ok: true });
+});
+
+// Bulk-books unscheduled orders (processing, no arrival date) into upcoming slots: oldest
+// order first, filling the earliest slot before moving to the next. { slotIds? } limits
+// which slots are used. Returns { assigned: [{ orderId, slotId }], unassigned }.
+app.post('/api/admin/assign-slots', (req, res) => {
+  const wanted = Array.isArray((req.body || {}).slotIds) ? req.body.slotIds.map(Number) : null;
+  const slots = store.pickupSlots.filter(s => !pickupSlots.isOver(s) && (!wanted || wanted.includes(s.id)))
+    .sort(pickupSlots.compareSlots);
+  if (!slots.length) return res.status(400).json({ error: 'No upcoming pickup slots to fill' });
+  const waiting = store.orders.filter(o => o.status === 'processing' && !o.arrivalDate)
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)) || a.id - b.id);
+  const booked = [];
+  store.transaction(() => {
+    const taken = slotBookings();
+    let i = 0;
+    waiting.forEach(order => {
+      while (i < slots.length && (taken[slots[i].id] || 0) >= slots[i].capacity) i++;
+      if (i >= slots.length) return;
+      const result = bookPickup(order, slots[i], req.account.username);
+      if (result.error) return;
+      taken[slots[i].id] = (taken[slots[i].id] || 0) + 1;
+      booked.push(result.order);
+    });
+  });
+  booked.forEach(publishOrder);
+  res.json({
+    assigned: booked.map(o => ({ orderId: o.id, slotId: o.pickup.slotId })),
+    unassigned: waiting.length - booked.length
+  });
+});
+
+// Order counts per status and completed revenue (gross, discounts and net), for the admin dashboard
+app.get('/api/admin/order-stats', (req, res) => {
+  const byStatus = {};
+  Object.keys(orderStatus.STATUS_LABELS).forEach(s => { byStatus[s] = 0; });
+  let completedRevenue = 0;
+  let completedDiscount = 0;
+  store.orders.all().forEach(o => {
+    byStatus[o.status] = (byStatus[o.status] || 0) + 1;
+    if (o.status !== 'completed') return;
+    completedRevenue += Number(o.amount || 0);
+    completedDiscount += Number(o.discount || 0);
+  });
+  res.json({
+    total: store.orders.count(),
+    byStatus,
+    completedGross: +(completedRevenue + completedDiscount).toFixed(2),
+    completedDiscount: +completedDiscount.toFixed(2),
+    completedRevenue: +completedRevenue.toFixed(2)
+  });
+});
+
+// Change an order's status: { orderId, status, note? }
+// Only transitions allowed by orderStatus.TRANSITIONS are accepted.
+app.post('/api/admin/order-status', (req, res) => {
+  const { orderId, status, note = '' } = req.body || {};
+  const ord = store.orders.get(Number(orderId));
+  if (!ord) return res.status(400).json({ error: 'Order not found' });
+  const result = changeOrderStatus(ord, String(status || ''), req.account.username, { note: String(note || '') });
+  if (result.error) return res.status(400).json({ error: result.error });
+  publishOrder(result.order);
+  res.json({ order: publicOrder(result.order) });
+});
+
+// Deletes an uploaded image once no item points at it any more
+function releaseImage(url) {
+  if (!uploads.isUploadedImage(url)) return;
+  if (store.items.count(i => i.image === url) === 0) uploads.removeImage(url);
+}
+
+// Create item - JSON, or multipart with an optional "imageFile" upload (which wins over image URL).
+// Optional categoryId and tags (array or comma separated).
+// type: 'bundle' with components [{ itemId, variantId?, quantity }] (a JSON string in multipart)
+// creates a bundle; its stock comes from the components, so stock is ignored.
+app.post('/api/admin/create-item', uploads.imageUpload('imageFile'), (req, res) => {
+  const { name, description = '', price = 0, stock = 0, categoryId = null, tags = [], type = 'item' } = req.body || {};
+  let image = (req.body && req.body.image) || '';
+  if (!name) return res.status(400).json({ error: 'Item name required' });
+  if (!['item', 'bundle'].includes(type)) return res.status(400).json({ error: `Unknown item type: ${type}` });
+  let components = null;
+  if (type === 'bundle') {
+    const normalized = bundles.normalizeComponents(req.body.components, itemLookup());
+    if (normalized.error) return res.status(400).json({ error: normalized.error });
+    components = normalized.components;
+  }
+  const category = normalizeCategoryId(categoryId);
+  if (category.error) return res.status(400).json({ error: category.error });
+  const tagged = normalizeTags(tags);
+  if (tagged.error) return res.status(400).json({ error: tagged.error });
+  if (req.file) {
+    const saved = uploads.saveImage(req.file);
+    if (saved.error) return res.status(400).json({ error: saved.error });
+    image = saved.url;
+  }
+  const newItem = store.transaction(() => {
+    const created = store.items.insert({
+      name,
+      description,
+      price: Number(price),
+      stock: components ? bundles.bundleStock({ components }, itemLookup()) : 0,
+      image,
+      categoryId: category.categoryId,
+      tags: tagged.tags,
+      ...(components ? { type: 'bundle', components } : {}),
+      active: true,
+      createdAt: new Date().toISOString()
+    });
+    recordPriceChange(created, null, req.account.username);
+    if (components) return created;
+    return adjustStock(created.id, Number(stock) || 0, { type: 'initial', actor: req.account.username, reason: 'Item created' });
+  });
+  publishItems([newItem.id]);
+  res.json({ item: newItem });
+});
+
+// All items including taken-down ones, for the admin item list
+app.get('/api/admin/items', (req, res) => {
+  res.json({ items: store.items.all() });
+});
+
+// Partial item update: { itemId, name?, description?, price?, image?, active?, categoryId?, tags?,
+// components? (bundles only) }, JSON or multipart with an optional "imageFile" upload.
+// Only the fields sent are changed.
+// active: true reactivates a taken-down item (its canceled orders stay canceled); active: false
+// takes it down like /api/admin/takedown-item. Responds with { item, canceledOrders }.
+// Stock is not editable here; it goes through update-stock so the ledger stays complete.
+app.post('/api/admin/update-item', uploads.imageUpload('imageFile'), (req, res) => {
+  const body = req.body || {};
+  const item = store.items.get(Number(body.itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+  res.locals.audit = { before: audit.snapshot('item', item) };
+
+  const changes = {};
+  if (body.name !== undefined) {
+    changes.name = String(body.name).trim();
+    if (!changes.name) return res.status(400).json({ error: 'Item name required' });
+  }
+  if (body.description !== undefined) changes.description = String(body.description).trim();
+  if (body.price !== undefined) {
+    const price = Number(body.price);
+    if (body.price === '' || !Number.isFinite(price) || price < 0) {
+      return res.status(400).json({ error: 'Price must be a number of at least 0' });
+    }
+    changes.price = +price.toFixed(2);
+  }
+  if (body.image !== undefined) changes.image = String(body.image).trim();
+  if (body.active !== undefined) changes.active = body.active === true || body.active === 'true';
+  if (body.categoryId !== undefined) {
+    const category = normalizeCategoryId(body.categoryId);
+    if (category.error) return res.status(400).json({ error: category.error });
+    changes.categoryId = category.categoryId;
+  }
+  if (body.tags !== undefined) {
+    const tagged = normalizeTags(body.tags);
+    if (tagged.error) return res.status(400).json({ error: tagged.error });
+    changes.tags = tagged.tags;
+  }
+  if (body.components !== undefined) {
+    if (!bundles.isBundle(item)) return res.status(400).json({ error: 'Only bundles have components' });
+    const normalized = bundles.normalizeComponents(body.components, itemLookup(), item.id);
+    if (normalized.error) return res.status(400).json({ error: normalized.error });
+    changes.components = normalized.components;
+  }
+  if (req.file) {
+    const saved = uploads.saveImage(req.file);
+    if (saved.error) return res.status(400).json({ error: saved.error });
+    changes.image = saved.url;
+  }
+  if (!Object.keys(changes).length) return res.status(400).json({ error: 'Nothing to update' });
+
+  const previousImage = item.image;
+  // deactivating here is a takedown: its open orders are canceled like /api/admin/takedown-item does
+  const takingDown = changes.active === false && item.active !== false;
+  let canceled = [];
+  const updated = store.transaction(() => {
+    const oldPrice = Number(item.price);
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    if (changes.components) item.stock = bundles.bundleStock(item, itemLookup());
+    const saved = store.items.update(item);
+    if (changes.price !== undefined && changes.price !== oldPrice) recordPriceChange(saved, oldPrice, req.account.username);
+    if (!takingDown) return saved;
+    canceled = takeDownItem(saved, req.account.username);
+    return store.items.get(saved.id);
+  });
+  // the old upload is deleted once nothing else uses it
+  if (previousImage && previousImage !== updated.image) releaseImage(previousImage);
+  canceled.forEach(publishOrder);
+  publishItems([updated.id]);
+  if (canceled.length) res.locals.audit = { ...res.locals.audit, details: { canceledOrderIds: canceled.map(o => o.id) } };
+  res.json({ item: updated, canceledOrders: canceled.length });
+});
+
+// Price changes, newest first; ?itemId= limits to one item
+app.get('/api/admin/price-history', (req, res) => {
+  const itemId = req.query.itemId ? Number(req.query.itemId) : null;
+  if (itemId && !store.items.get(itemId)) return res.status(400).json({ error: 'Item not found' });
+  const changes = store.priceChanges.filter(c => !itemId || c.itemId === itemId).reverse();
+  res.json({ changes });
+});
+
+// Set an item's variant options: { itemId, options: [{ name, values }] } (empty list removes them).
+// One variant is kept or created per combination of values; see variants.js. The first
+// time an item gets options its stock moves onto the first variant, recorded as a pair
+// of ledger adjustments.
+app.post('/api/admin/item-options', (req, res) => {
+  const { itemId, options } = req.body || {};
+  const item = store.items.get(Number(itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+  if (bundles.isBundle(item)) return res.status(400).json({ error: 'Bundles cannot have options; use component variants instead' });
+  const normalized = variants.normalizeOptions(options);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+
+  // variants on open orders must stay so a cancellation can put the stock back
+  const open = store.orders.filter(o => orderStatus.OPEN_STATUSES.includes(o.status));
+  const openLines = open.flatMap(o => (o.lines || []).flatMap(l => l.components || [l])).filter(l => l.itemId === item.id);
+  const lockedIds = new Set(openLines.map(l => l.variantId).filter(Boolean));
+  if (!variants.hasVariants(item) && normalized.options.length && openLines.length) {
+    return res.status(400).json({ error: `Finish or cancel the open orders for ${item.name} before adding options` });
+  }
+  const plan = variants.planVariants(item, normalized.options, lockedIds);
+  if (plan.error) return res.status(400).json({ error: plan.error });
+
+  const actor = req.account.username;
+  const updated = store.transaction(() => {
+    const carried = variants.hasVariants(item) ? 0 : Number(item.stock || 0);
+    if (carried) adjustStock(item.id, -carried, { type: 'adjustment', actor, reason: 'Moved to variants' });
+    const current = store.items.get(item.id);
+    current.options = normalized.options;
+    current.variants = plan.variants;
+    current.lastVariantId = plan.lastVariantId;
+    current.stock = plan.variants.length ? variants.totalStock(current) : 0;
+    current.updatedAt = new Date().toISOString();
+    const saved = store.items.update(current);
+    refreshBundles([item.id]);
+    if (!carried || !plan.variants.length) return saved;
+    return adjustStock(item.id, carried, {
+      type: 'adjustment', actor, reason: 'Moved from item stock', variantId: plan.variants[0].id
+    });
+  });
+  publishItems([updated.id]);
+  res.json({ item: updated });
+});
+
+// Edit one variant: { itemId, variantId, sku?, price? }. SKUs are unique across the shop.
+// price '' or null clears the override so the variant sells at the item price.
+app.post('/api/admin/update-variant', (req, res) => {
+  const body = req.body || {};
+  const item = store.items.get(Number(body.itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+  const variant = variants.findVariant(item, body.variantId);
+  if (!variant) return res.status(400).json({ error: 'Variant not found' });
+
+  const changes = {};
+  if (body.sku !== undefined) {
+    changes.sku = String(body.sku).trim().toUpperCase();
+    if (!/^[A-Z0-9][A-Z0-9-]{0,39}$/.test(changes.sku)) {
+      return res.status(400).json({ error: 'SKU must be up to 40 letters, digits or dashes' });
+    }
+    const taken = store.items.find(i => variants.hasVariants(i) &&
+      i.variants.some(v => v.sku === changes.sku && !(i.id === item.id && v.id === variant.id)));
+    if (taken) return res.status(400).json({ error: `SKU ${changes.sku} is already used by ${taken.name}` });
+  }
+  if (body.price !== undefined) {
+    if (body.price === '' || body.price === null) {
+      changes.price = null;
+    } else {
+      const price = Number(body.price);
+      if (!Number.isFinite(price) || price < 0) return res.status(400).json({ error: 'Price must be a number of at least 0' });
+      changes.price = +price.toFixed(2);
+    }
+  }
+  if (!Object.keys(changes).length) return res.status(400).json({ error: 'Nothing to update' });
+
+  const updated = store.transaction(() => {
+    const oldPrice = variants.unitPrice(item, variant);
+    Object.assign(variant, changes);
+    item.updatedAt = new Date().toISOString();
+    const saved = store.items.update(item);
+    if (variants.unitPrice(item, variant) !== oldPrice) recordPriceChange(saved, oldPrice, req.account.username, variant);
+    return saved;
+  });
+  publishItems([updated.id]);
+  res.json({ item: updated });
+});
+
+// Commission queue: ?status= (comma separated). Open commissions first, oldest first.
+app.get('/api/admin/commissions', (req, res) => {
+  const statuses = req.query.status ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean) : [];
+  const unknown = statuses.find(s => !commissions.STATUS_LABELS[s]);
+  if (unknown) return res.status(400).json({ error: `Unknown status: ${unknown}` });
+  const open = c => (commissions.OPEN_STATUSES.includes(c.status) ? 0 : 1);
+  const list = store.commissions.filter(c => !statuses.length || statuses.includes(c.status))
+    .sort((a, b) => open(a) - open(b) || a.id - b.id);
+  res.json({ commissions: list, ...commissionLabels() });
+});
+
+// Quote a commission: { commissionId, price, leadDays, note? }. Quoting again replaces the quote.
+app.post('/api/admin/commission-quote', (req, res) => {
+  const body = req.body || {};
+  const commission = store.commissions.get(Number(body.commissionId));
+  if (!commission) return res.status(400).json({ error: 'Commission not found' });
+  const normalized = commissions.normalizeQuote(body);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  const { quote } = normalized;
+  const error = commissions.applyStatus(commission, 'quoted', req.account.username,
+    `${quote.price.toFixed(2)} in ${quote.leadDays} day(s)${quote.note ? ': ' + quote.note : ''}`);
+  if (error) return res.status(400).json({ error });
+  commission.quote = { ...quote, by: req.account.username, at: new Date().toISOString() };
+  const saved = store.commissions.update(commission);
+  publishCommission(saved);
+  res.json({ commission: saved });
+});
+
+// Staff status change: { commissionId, status: 'rejected' | 'in_progress' | 'finished' | 'canceled', note? }.
+// Canceling an accepted commission cancels its order as well.
+app.post('/api/admin/commission-status', (req, res) => {
+  const { commissionId, status, note = '' } = req.body || {};
+  const commission = store.commissions.get(Number(commissionId));
+  if (!commission) return res.status(400).json({ error: 'Commission not found' });
+  // quoting goes through /commission-quote, which needs the price and lead time
+  if (!commissions.STAFF_STATUSES.includes(status) || status === 'quoted') {
+    return res.status(400).json({ error: `Unknown status: ${status}` });
+  }
+  const order = commission.orderId ? store.orders.get(commission.orderId) : null;
+  if (status === 'canceled' && order && orderStatus.canCancel(order)) {
+    const result = changeOrderStatus(order, 'canceled', req.account.username, { note: String(note || '') || 'Commission canceled' });
+    if (result.error) return res.status(400).json({ error: result.error });
+    publishOrder(result.order);
+    return res.json({ commission: store.commissions.get(commission.id) });
+  }
+  const error = commissions.applyStatus(commission, status, req.account.username, String(note || ''));
+  if (error) return res.status(400).json({ error });
+  const saved = store.commissions.update(commission);
+  publishCommission(saved);
+  res.json({ commission: saved });
+});
+
+// Feedback inbox: ?status=&category= (comma separated) and ?q= search.
+// New first, then in progress, then resolved; newest first within each.
+app.get('/api/admin/feedback', (req, res) => {
+  const list = value => (value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : []);
+  const statuses = list(req.query.status);
+  const categories = list(req.query.category);
+  const unknownStatus = statuses.find(s => !feedback.STATUS_LABELS[s]);
+  if (unknownStatus) return res.status(400).json({ error: `Unknown status: ${unknownStatus}` });
+  const unknownCategory = categories.find(c => !feedback.CATEGORIES[c]);
+  if (unknownCategory) return res.status(400).json({ error: `Unknown category: ${unknownCategory}` });
+  const rank = Object.keys(feedback.STATUS_LABELS);
+  const counts = {};
+  rank.forEach(s => { counts[s] = store.feedback.count(f => f.status === s); });
+  const entries = store.feedback.filter(f => (!statuses.length || statuses.includes(f.status)) &&
+    (!categories.length || categories.includes(f.category)) && feedback.matches(f, req.query.q))
+    .sort((a, b) => rank.indexOf(a.status) - rank.indexOf(b.status) || b.id - a.id);
+  res.json({ feedback: entries, counts, labels: feedback.STATUS_LABELS, categories: feedback.CATEGORIES });
+});
+
+// Triage: { feedbackId, status?, note? } - change the status and/or add an internal note
+app.post('/api/admin/feedback-update', (req, res) => {
+  const { feedbackId, status, note } = req.body || {};
+  const entry = store.feedback.get(Number(feedbackId));
+  if (!entry) return res.status(400).json({ error: 'Feedback not found' });
+  if (!status && !note) return res.status(400).json({ error: 'Nothing to update' });
+  if (status && !feedback.STATUS_LABELS[status]) return res.status(400).json({ error: `Unknown status: ${status}` });
+  const now = new Date().toISOString();
+  if (note) {
+    const normalized = feedback.normalizeText(note, 'Note');
+    if (normalized.error) return res.status(400).json({ error: normalized.error });
+    entry.notes = (entry.notes || []).concat({ at: now, by: req.account.username, text: normalized.text });
+  }
+  if (status) entry.status = status;
+  entry.updatedAt = now;
+  const saved = store.feedback.update(entry);
+  publishFeedback(saved);
+  res.json({ feedback: saved });
+});
+
+// Reply to the submitter: { feedbackId, message, resolve? }. The reply goes to their notifications;
+// new feedback moves to in progress (or resolved when resolve is set).
+app.post('/api/admin/feedback-reply', (req, res) => {
+  const { feedbackId, message, resolve = false } = req.body || {};
+  const entry = store.feedback.get(Number(feedbackId));
+  if (!entry) return res.status(400).json({ error: 'Feedback not found' });
+  if (!entry.username || !store.accounts.get(entry.username)) {
+    return res.status(400).json({ error: 'This feedback was sent without an account, so there is no one to reply to' });
+  }
+  const normalized = feedback.normalizeText(message, 'Reply');
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  const now = new Date().toISOString();
+  const saved = store.transaction(() => {
+    entry.replies = (entry.replies || []).concat({ at: now, by: req.account.username, text: normalized.text });
+    if (resolve) entry.status = 'resolved';
+    else if (entry.status === 'new') entry.status = 'in_progress';
+    entry.updatedAt = now;
+    notify(entry.username, {
+      type: 'feedback_reply', title: `Reply to your ${feedback.CATEGORIES[entry.category].toLowerCase()} feedback`,
+      body: normalized.text, orderId: entry.orderId
+    });
+    return store.feedback.update(entry);
+  });
+  publishFeedback(saved);
+  res.json({ feedback: saved });
+});
+
+// Review moderation list: ?status=visible|hidden, ?itemId=, ?q= (searches text, author and item). Newest first.
+app.get('/api/admin/reviews', (req, res) => {
+  const status = req.query.status || '';
+  if (status && !['visible', 'hidden'].includes(status)) return res.status(400).json({ error: `Unknown status: ${status}` });
+  const itemId = req.query.itemId ? Number(req.query.itemId) : null;
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const getItem = itemLookup();
+  const list = store.reviews.filter(r => (!status || r.hidden === (status === 'hidden')) && (!itemId || r.itemId === itemId))
+    .map(r => ({ ...r, itemName: getItem(r.itemId) ? getItem(r.itemId).name : `Item #${r.itemId}` }))
+    .filter(r => !q || [r.body, r.name, r.username, r.itemName].join('\n').toLowerCase().includes(q))
+    .sort((a, b) => b.id - a.id);
+  res.json({ reviews: list });
+});
+
+// Hide or show a review: { reviewId, hidden, reason? }. Hidden reviews leave the item's rating.
+app.post('/api/admin/review-visibility', (req, res) => {
+  const { reviewId, hidden, reason = '' } = req.body || {};
+  const review = store.reviews.get(Number(reviewId));
+  if (!review) return res.status(400).json({ error: 'Review not found' });
+  const saved = store.transaction(() => {
+    const updated = store.reviews.update({
+      ...review,
+      hidden: !!hidden,
+      hiddenBy: hidden ? req.account.username : null,
+      hiddenReason: hidden ? String(reason || '').trim().slice(0, 200) : ''
+    });
+    refreshRating(review.itemId);
+    return updated;
+  });
+  publishReviews(review.itemId);
+  res.json({ review: saved });
+});
+
+// Public response under a review: { reviewId, response } ('' removes it). The author is notified.
+app.post('/api/admin/review-response', (req, res) => {
+  const { reviewId, response } = req.body || {};
+  const review = store.reviews.get(Number(reviewId));
+  if (!review) return res.status(400).json({ error: 'Review not found' });
+  const normalized = reviews.normalizeResponse(response);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  const item = store.items.get(review.itemId);
+  const saved = store.transaction(() => {
+    const updated = store.reviews.update({
+      ...review,
+      response: normalized.text ? { text: normalized.text, by: req.account.username, at: new Date().toISOString() } : null
+    });
+    if (normalized.text) {
+      notify(review.username, {
+        type: 'review_response', title: `We responded to your review of ${item ? item.name : 'an item'}`,
+        body: normalized.text, itemId: review.itemId
+      });
+    }
+    return updated;
+  });
+  publishReviews(review.itemId);
+  res.json({ review: saved });
+});
+
+app.post('/api/admin/delete-review', (req, res) => {
+  const review = store.reviews.get(Number((req.body || {}).reviewId));
+  if (!review) return res.status(400).json({ error: 'Review not found' });
+  store.transaction(() => {
+    store.reviews.remove(review.id);
+    refreshRating(review.itemId);
+  });
+  publishReviews(review.itemId);
+  res.json({ ok: true });
+});
+
+// Promotions with how often they were used and how much they took off (non-canceled orders)
+app.get('/api/admin/promotions', (req, res) => {
+  const given = {};
+  store.orders.all().forEach(o => {
+    if (o.status === 'canceled') return;
+    (o.discounts || []).forEach(d => { given[d.promotionId] = (given[d.promotionId] || 0) + Number(d.amount || 0); });
+  });
+  res.json({
+    types: promotions.TYPES,
+    promotions: store.promotions.all().map(p => ({
+      ...p,
+      uses: promotionUses(p.id),
+      discountGiven: +(given[p.id] || 0).toFixed(2),
+      running: promotions.isRunning(p)
+    }))
+  });
+});
+
+// Create or replace a promotion: { id?, name, code?, type, value, buyQuantity?, getQuantity?,
+// categoryId?, days?, startsAt?, endsAt?, maxUses?, maxUsesPerAccount?, active? } (see promotions.js).
+// Orders already placed keep the discount they got.
+app.post('/api/admin/save-promotion', (req, res) => {
+  const body = req.body || {};
+  const normalized = promotions.normalizePromotion(body);
+  if (normalized.error) return res.status(400).json({ error: normalized.error });
+  const promo = normalized.promotion;
+  if (promo.categoryId !== null && !store.categories.get(promo.categoryId)) {
+    return res.status(400).json({ error: 'Category not found' });
+  }
+  const id = body.id ? Number(body.id) : null;
+  if (promo.code && store.promotions.find(p => p.code === promo.code && p.id !== id)) {
+    return res.status(400).json({ error: `Code ${promo.code} is already in use` });
+  }
+  const now = new Date().toISOString();
+  if (id) {
+    const existing = store.promotions.get(id);
+    if (!existing) return res.status(400).json({ error: 'Promotion not found' });
+    return res.json({ promotion: store.promotions.update({ ...existing, ...promo, updatedAt: now }) });
+  }
+  res.json({ promotion: store.promotions.insert({ ...promo, createdAt: now, updatedAt: now }) });
+});
+
+// Delete a promotion: { id }. Used promotions can only be switched off (active: false),
+// so their orders keep pointing at a real rule.
+app.post('/api/admin/delete-promotion', (req, res) => {
+  const promo = store.promotions.get(Number((req.body || {}).id));
+  if (!promo) return res.status(400).json({ error: 'Promotion not found' });
+  if (store.orders.count(o => (o.discounts || []).some(d => d.promotionId === promo.id))) {
+    return res.status(400).json({ error: 'This promotion has been used; switch it off instead' });
+  }
+  store.promotions.remove(promo.id);
+  res.json({ ok: true });
+});
+
+// Create or rename a category: { id?, name }
+app.post('/api/admin/save-category', (req, res) => {
+  const { id, name } = req.body || {};
+  const clean = typeof name === 'string' ? name.trim() : '';
+  if (!clean || clean.length > 40) return res.status(400).json({ error: 'Category name required (up to 40 characters)' });
+  const clash = store.categories.find(c => c.name.toLowerCase() === clean.toLowerCase() && c.id !== Number(id));
+  if (clash) return res.status(400).json({ error: 'A category with that name already exists' });
+  if (id) {
+    const category = store.categories.get(Number(id));
+    if (!category) return res.status(400).json({ error: 'Category not found' });
+    category.name = clean;
+    return res.json({ category: store.categories.update(category) });
+  }
+  res.json({ category: store.categories.insert({ name: clean, createdAt: new Date().toISOString() }) });
+});
+
+// Delete a category: { id }. Its items stay in the shop without a category.
+app.post('/api/admin/delete-category', (req, res) => {
+  const category = store.categories.get(Number((req.body || {}).id));
+  if (!category) return res.status(400).json({ error: 'Category not found' });
+  const affected = store.transaction(() => {
+    const items = store.items.filter(i => i.categoryId === category.id);
+    items.forEach(i => {
+      i.categoryId = null;
+      store.items.update(i);
+    });
+    store.categories.remove(category.id);
+    return items.map(i => i.id);
+  });
+  publishItems(affected);
+  res.json({ success: true, uncategorizedItems: affected.length });
+});
+
+// Takes an item off sale (call inside a transaction): cancels every open order containing it
+// (directly or inside a bundle) and restores stock for all of their lines; picked up / completed
+// orders are history and stay as they are. Bundles containing the item drop out of the shop
+// until it is reactivated. Returns the canceled orders, for publishing.
+function takeDownItem(item, actor) {
+  const related = store.orders.filter(o => orderStatus.canCancel(o) && (o.lines || []).some(l =>
+    l.itemId === item.id || (l.components || []).some(c => c.itemId === item.id)));
+  related.forEach(o => {
+    changeOrderStatus(o, 'canceled', actor, { note: `Item taken down: ${item.name}`, restockType: 'takedown' });
+  });
+  const updated = store.items.get(item.id);
+  updated.active = false;
+  store.items.update(updated);
+  return related.map(o => store.orders.get(o.id));
+}
+
+// Take down item (set active=false)
+app.post('/api/admin/takedown-item', (req, res) => {
+  const { itemId } = req.body;
+  const item = store.items.get(Number(itemId));
+  if (!item) return res.status(400).json({ error: 'Item not found' });
+
+  const canceled = store.transaction(() => takeDownItem(item, req.account.username));
+
+  canceled.forEach(publishOrder);
+  publishItems([item.id]);
+  res.locals.audit = { details: { canceledOrderIds: canceled.map(o => o.id) } };
+  res.json({ success: true, canceledOrders: canceled.length });
+});
+
+// ---- Accounts ----
+
+// Accounts for staff: ?q= (username or name), ?status=active|disabled. Newest first.
+app.get('/api/admin/accounts', (req, res) => {
+  const status = req.query.status || '';
+  if (status && !['active', 'disabled'].includes(status)) return res.status(400).json({ error: `Unknown status: ${status}` });
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const orderCounts = {};
+  store.orders.all().forEach(o => {
+    const key = String(o.username || '').toLowerCase();
+    orderCounts[key] = (orderCounts[key] || 0) + 1;
+  });
+  const list = store.accounts
+    .filter(a => (!status || !!a.disabled === (status === 'disabled')) &&
+      (!q || `${a.username}\n${a.fullName || ''}`.toLowerCase().includes(q)))
+    .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')) || a.username.localeCompare(b.username))
+    .map(a => ({ ...accounts.accountSummary(a), orders: orderCounts[a.username.toLowerCase()] || 0 }));
+  res.json({ accounts: list });
+});
+
+// Whether the account can hand out access (admin, or a role with roles.manage or accounts.manage);
+// only admins may reset, disable or re-enable such accounts
+function isAdminOnlyAccount(acc) {
+  return permissions.isAdminOnly(permissions.permissionsFor(acc, store.roles.all()));
+}
+
+// Reset a password: { username, newPassword? }. Without newPassword a temporary one is generated
+// and returned once. The account is signed out everywhere and asked to pick a new password.
+// Staff can't reset their own password this way, and only admins can reset the password of an
+// account that can manage roles or accounts (see isAdminOnlyAccount).
+app.post('/api/admin/reset-password', (req, res) => {
+  const { username, newPassword } = req.body || {};
+  const acc = store.accounts.get(username);
+  if (!acc) return res.status(400).json({ error: 'Account not found' });
+  if (acc.username.toLowerCase() === req.account.username.toLowerCase()) {
+    return res.status(400).json({ error: 'Change your own password from your profile (POST /api/account/password)' });
+  }
+  if (isAdminOnlyAccount(acc) && !permissions.hasRole(req.account, 'admin')) {
+    return res.status(403).json({ error: 'Only admins can reset the password of an account that can manage roles or accounts' });
+  }
+  const password = newPassword ? String(newPassword) : accounts.temporaryPassword();
+  const problem = accounts.passwordProblem(password);
+  if (problem) return res.status(400).json({ error: problem });
+  acc.passwordHash = bcrypt.hashSync(password, 10);
+  acc.passwordChangedAt = new Date().toISOString();
+  acc.mustChangePassword = true;
+  store.transaction(() => {
+    store.accounts.update(acc);
+    revokeSessions(acc.username);
+  });
+  res.json({ account: accounts.accountSummary(acc), temporaryPassword: newPassword ? null : password });
+});
+
+// Disable or re-enable an account: { username, disabled, reason? }. Disabling signs it out
+// everywhere. Staff can't disable themselves, and only admins can disable or re-enable an
+// account that can manage roles or accounts (see isAdminOnlyAccount).
+app.post('/api/admin/disable-account', (req, res) => {
+  const { username, disabled, reason = '' } = req.body || {};
+  const acc = store.accounts.get(username);
+  if (!acc) return res.status(400).json({ error: 'Account not found' });
+  if (acc.username.toLowerCase() === req.account.username.toLowerCase()) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
+  }
+  if (isAdminOnlyAccount(acc) && !permissions.hasRole(req.account, 'admin')) {
+    return res.status(403).json({ error: `Only admins can ${disabled ? 'disable' : 're-enable'} an account that can manage roles or accounts` });
+  }
+  if (disabled) {
+    acc.disabled = true;
+    acc.disabledAt = new Date().toISOString();
+    acc.disabledBy = req.account.username;
+    acc.disabledReason = String(reason || '').trim().slice(0, 200);
+  } else {
+    ['disabled', 'disabledAt', 'disabledBy', 'disabledReason'].forEach(k => delete acc[k]);
+  }
+  store.transaction(() => {
+    store.accounts.update(acc);
+    if (disabled) revokeSessions(acc.username);
+  });
+  res.json({ account: accounts.accountSummary(acc) });
+});
+
+// Current rate-limit entries, locked ones first:
+// { lockouts: [{ scope, label, key, failures, lockedUntil, retryAfter }] }. Keys are usernames,
+// IP addresses, or for orders 'account:<username>' / 'ip:<address>'.
+app.get('/api/admin/lockouts', (req, res) => {
+  const lockouts = [];
+  Object.entries(LIMITS).forEach(([scope, { label, limiter }]) => {
+    limiter.list().forEach(entry => lockouts.push({ scope, label, ...entry }));
+  });
+  lockouts.sort((a, b) => b.retryAfter - a.retryAfter || b.failures - a.failures || a.key.localeCompare(b.key));
+  res.json({ lockouts });
+});
+
+// Clear a lockout: { scope, key }, or { all: true } to clear everything
+app.post('/api/admin/clear-lockout', (req, res) => {
+  const { scope, key, all } = req.body || {};
+  if (all) {
+    Object.values(LIMITS).forEach(({ limiter }) => limiter.list().forEach(entry => limiter.clear(entry.key)));
+    return res.json({ success: true });
+  }
+  if (!LIMITS[scope]) return res.status(400).json({ error: `Unknown scope: ${scope}` });
+  if (!LIMITS[scope].limiter.clear(String(key || ''))) return res.status(400).json({ error: 'No such lockout' });
+  res.json({ success: true });
+});
+
+// ---- Roles ----
+
+// List roles, known permissions and accounts holding a role other than customer
+app.get('/api/admin/roles', (req, res) => {
+  const staff = store.accounts
+    .filter(a => (a.roles || []).some(r => r !== 'customer'))
+    .map(a => ({ username: a.username, fullName: a.fullName || '', roles: a.roles || [] }));
+  res.json({ roles: permissions.allRoles(store.roles.all()), permissions: permissions.PERMISSIONS, staff });
+});
+
+// Create or update a custom role: { name, description?, permissions: [..] }
+app.post('/api/admin/save-role', (req, res) => {
+  const { name, description = '', permissions: perms } = req.body || {};
+  const roleName = String(name || '').trim().toLowerCase();
+  if (!permissions.ROLE_NAME_RE.test(roleName)) {
+    return res.status(400).json({ error: 'Role name must be 2-32 chars: lowercase letters, digits, - or _' });
+  }
+  if (permissions.BUILT_IN_ROLES.some(r => r.name === roleName)) {
+    return res.status(400).json({ error: 'Built-in roles cannot be changed' });
+  }
+  if (!Array.isArray(perms)) return res.status(400).json({ error: 'permissions must be an array' });
+  const unknown = perms.filter(p => !permissions.PERMISSIONS[p]);
+  if (unknown.length) return res.status(400).json({ error: `Unknown permission: ${unknown.join(', ')}` });
+
+  const existing = store.roles.get(roleName);
+  // editing a role changes what its holders can do, so it follows the same rule as granting it
+  if ((permissions.isAdminOnly(perms) || (existing && permissions.isAdminOnly(existing.permissions))) &&
+    !permissions.hasRole(req.account, 'admin')) {
+    return res.status(403).json({ error: 'Only admins can manage roles that can manage roles or accounts' });
+  }
+  const role = {
+    name: roleName,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    description: String(description || ''),
+    permissions: Array.from(new Set(perms))
+  };
+  res.json({ role: existing ? store.roles.update(role) : store.roles.insert(role) });
+});
+
+// Delete a custom role and remove it from every account: { name }
+app.post('/api/admin/delete-role', (req, res) => {
+  const roleName = String((req.body || {}).name || '').toLowerCase();
+  const existing = store.roles.get(roleName);
+  if (!existing) return res.status(400).json({ error: 'Custom role not found' });
+  if (permissions.isAdminOnly(existing.permissions) && !permissions.hasRole(req.account, 'admin')) {
+    return res.status(403).json({ error: 'Only admins can manage roles that can manage roles or accounts' });
+  }
+  store.transaction(() => {
+    store.roles.remove(roleName);
+    store.accounts.filter(a => Array.isArray(a.roles) && a.roles.includes(roleName)).forEach(a => {
+      a.roles = a.roles.filter(r => r !== roleName);
+      if (!a.roles.length) a.roles = ['customer'];
+      store.accounts.update(a);
+    });
+  });
+  res.json({ success: true });
+});
+
+// Grant a role to an account: { username, role }
+// Only admins can grant admin, or roles that can manage roles or accounts.
+app.post('/api/admin/grant-role', (req, res) => {
+  const { username, role } = req.body || {};
+  const acc = store.accounts.get(username);
+  if (!acc) return res.status(400).json({ error: 'Account not found' });
+  const found = permissions.findRole(role, store.roles.all());
+  if (!found) return res.status(400).json({ error: 'Role not found' });
+  if (permissions.isAdminOnly(found.permissions) && !permissions.hasRole(req.account, 'admin')) {
+    return res.status(403).json({ error: `Only admins can grant the ${found.name} role` });
+  }
+  acc.roles = Array.isArray(acc.roles) ? acc.roles : [];
+  if (!acc.roles.includes(found.name)) acc.roles.push(found.name);
+  store.accounts.update(acc);
+  res.json({ account: { username: acc.username, roles: acc.roles } });
+});
+
+// Revoke a role from an account: { username, role }
+// The last admin cannot lose the admin role, so the shop can't be locked out. Like granting,
+// only admins can revoke admin or roles that can manage roles or accounts.
+app.post('/api/admin/revoke-role', (req, res) => {
+  const { username, role } = req.body || {};
+  const roleName = String(role || '').toLowerCase();
+  const acc = store.accounts.get(username);
+  if (!acc) return res.status(400).json({ error: 'Account not found' });
+  if (!Array.isArray(acc.roles) || !acc.roles.includes(roleName)) {
+    return res.status(400).json({ error: 'Account does not have that role' });
+  }
+  const found = permissions.findRole(roleName, store.roles.all());
+  if (found && permissions.isAdminOnly(found.permissions) && !permissions.hasRole(req.account, 'admin')) {
+    return res.status(403).json({ error: `Only admins can revoke the ${found.name} role` });
+  }
+  if (roleName === 'admin' && store.accounts.count(a => permissions.hasRole(a, 'admin')) <= 1) {
+    return res.status(400).json({ error: 'Cannot revoke the last admin' });
+  }
+  acc.roles = acc.roles.filter(r => r !== roleName);
+  if (!acc.roles.length) acc.roles = ['customer'];
+  store.accounts.update(acc);
+  res.json({ account: { username: acc.username, roles: acc.roles } });
+});
+
+// Get wishlist for the signed-in user
+// Wishlist entries are "<itemId>" or "<itemId>:<variantId>" strings; older wishlists
+// stored plain item ids, which read back as item-level entries.
+function normalizeWishlist(raw) {
+  if (!Array.isArray(raw)) return [];
+  return Array.from(new Set(raw.map(entry => String(entry).trim()).filter(entry => /^\d+(:\d+)?$/.test(entry))));
+}
+
+app.get('/api/wishlist', (req, res) => {
+  if (!req.account) {
+    // Guests use client-side localStorage
+    return res.json({ wishlist: [] });
+  }
+  res.json({ wishlist: normalizeWishlist(req.account.wishlist) });
+});
+
+// Save wishlist for the signed-in user (body: { wishlist: ["itemId" | "itemId:variantId"] })
+app.post('/api/wishlist', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const { wishlist } = req.body || {};
+  const acc = req.account;
+  acc.wishlist = normalizeWishlist(wishlist);
+  store.accounts.update(acc);
+  res.json({ wishlist: acc.wishlist });
+});
+
+// Get cart for the signed-in user ([{ itemId, variantId, quantity }]); guests keep theirs in localStorage
+app.get('/api/cart', (req, res) => {
+  if (!req.account) return res.json({ cart: [] });
+  res.json({ cart: Array.isArray(req.account.cart) ? req.account.cart : [] });
+});
+
+// Replace the signed-in user's cart (body: { cart: [{ itemId, variantId?, quantity }] })
+app.post('/api/cart', (req, res) => {
+  if (!requireAccount(req, res)) return;
+  const { cart } = req.body || {};
+  let lines = [];
+  if (Array.isArray(cart) && cart.length) {
+    const normalized = normalizeLines(cart);
+    if (normalized.error) return res.status(400).json({ error: normalized.error });
+    lines = normalized.lines;
+  }
+  const acc = req.account;
+  acc.cart = lines;
+  store.accounts.update(acc);
+  res.json({ cart: acc.cart });
+});
+
+// fallback to index.html for SPA routing
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+});
 
 const PORT = process.env.PORT || 3000;
+const REMINDER_INTERVAL_MS = 10 * 60 * 1000;
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+  sendPickupReminders();
+  setInterval(() => {
+    sendPickupReminders();
+    pruneLimits();
+  }, REMINDER_INTERVAL_MS).unref();
+});
+
+// Let queued data writes finish before exiting
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => {
+  store.close().then(() => process.exit(0));
+}));
\ No newline at end of file
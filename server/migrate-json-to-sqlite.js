@@ -0,0 +1,34 @@
+// One-shot import of data.json into the SQLite backend.
+//
+//   npm run migrate:sqlite            import into an empty database
+//   npm run migrate:sqlite -- --force replace whatever the database already holds
+//
+// Copies every collection (accounts with their wishlists, items, orders, sessions, roles)
+// inside a single transaction, keeping ids as they are. data.json is left untouched.
+// Afterwards start the server with STORAGE=sqlite.
+const { createStore, COLLECTIONS } = require('./storage');
+
+const force = process.argv.includes('--force');
+const source = createStore({ backend: 'json' });
+const target = createStore({ backend: 'sqlite' });
+
+const names = Object.keys(COLLECTIONS);
+const existing = names.filter(name => target[name].count() > 0);
+if (existing.length && !force) {
+  console.error(`SQLite database already has data (${existing.join(', ')}). Re-run with --force to replace it.`);
+  process.exit(1);
+}
+
+const counts = target.transaction(() => {
+  const result = {};
+  names.forEach(name => {
+    target[name].removeWhere(() => true);
+    const docs = source[name].all();
+    docs.forEach(doc => target[name].insert(doc));
+    result[name] = docs.length;
+  });
+  return result;
+});
+
+names.forEach(name => console.log(`${name}: ${counts[name]} imported`));
+target.close();
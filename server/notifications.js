@@ -0,0 +1,42 @@
+// Notification inbox.
+// Signed-in accounts get a notification when something happens to them, stored in
+// store.notifications as
+//   { id, username, type, title, body, orderId, itemId, variantId, read, createdAt, readAt }
+// and pushed to their open pages as a 'notification' event. Guests have no inbox; they see
+// the same changes on their orders in My Orders.
+
+const TYPES = {
+  order_scheduled: 'Order scheduled',
+  order_ready: 'Ready for pickup',
+  order_canceled: 'Order canceled',
+  pickup_reminder: 'Pickup tomorrow',
+  back_in_stock: 'Back in stock',
+  feedback_reply: 'Reply to your feedback',
+  review_response: 'Response to your review'
+};
+
+const LIST_LIMIT = 50;
+const KEEP_READ_DAYS = 90;
+
+// Whether the order is due for its day-before pickup reminder at `now` (server local time)
+function reminderDue(order, now = new Date()) {
+  if (!order.arrivalDate || order.reminderSentAt) return false;
+  if (!['scheduled', 'ready'].includes(order.status)) return false;
+  if (!order.username || String(order.username).toLowerCase() === 'guest') return false;
+  const arrival = new Date(order.arrivalDate);
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  return arrival.getFullYear() === tomorrow.getFullYear() && arrival.getMonth() === tomorrow.getMonth() &&
+    arrival.getDate() === tomorrow.getDate();
+}
+
+// Read notifications old enough to be dropped
+function expired(notification, now = new Date()) {
+  return notification.read && new Date(notification.createdAt).getTime() < now.getTime() - KEEP_READ_DAYS * 24 * 60 * 60 * 1000;
+}
+
+module.exports = {
+  TYPES,
+  LIST_LIMIT,
+  reminderDue,
+  expired
+};
@@ -0,0 +1,79 @@
+// Order lifecycle.
+//
+//   processing -> scheduled -> ready -> picked_up -> completed
+//   ready -> completed directly when pickup and payment happen together
+//   processing | scheduled | ready | no_show -> canceled (stock is restored)
+//   scheduled | ready -> no_show, and no_show -> scheduled to try another day
+// A scheduled order always has an arrivalDate (set it before moving the order to scheduled).
+//
+// Every change is appended to order.statusHistory as { status, at, by, note }.
+
+const STATUS_LABELS = {
+  processing: 'Processing',
+  scheduled: 'Scheduled',
+  ready: 'Ready for pickup',
+  picked_up: 'Picked up',
+  completed: 'Completed',
+  canceled: 'Canceled',
+  no_show: 'No show'
+};
+
+const TRANSITIONS = {
+  processing: ['scheduled', 'ready', 'canceled'],
+  scheduled: ['processing', 'ready', 'no_show', 'canceled'],
+  ready: ['picked_up', 'completed', 'no_show', 'canceled'],
+  picked_up: ['completed'],
+  completed: [],
+  canceled: [],
+  no_show: ['scheduled', 'canceled']
+};
+
+// Timestamp field set when an order enters the status
+const STATUS_TIMESTAMPS = {
+  ready: 'readyAt',
+  picked_up: 'pickedUpAt',
+  completed: 'completedAt',
+  canceled: 'canceledAt',
+  no_show: 'noShowAt'
+};
+
+// Statuses that still hold reserved stock and are waiting on someone
+const OPEN_STATUSES = ['processing', 'scheduled', 'ready', 'no_show'];
+
+function isValidStatus(status) {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, status);
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function canCancel(order) {
+  return canTransition(order.status, 'canceled');
+}
+
+// Applies the status change to the order object (no persistence).
+// Returns an error string when the transition is not allowed.
+function applyStatus(order, to, by, note = '') {
+  if (!isValidStatus(to)) return `Unknown status: ${to}`;
+  if (!canTransition(order.status, to)) {
+    return `Cannot change order from ${STATUS_LABELS[order.status] || order.status} to ${STATUS_LABELS[to]}`;
+  }
+  if (to === 'scheduled' && !order.arrivalDate) return 'Set an arrival date before scheduling the order';
+  const at = new Date().toISOString();
+  order.status = to;
+  if (STATUS_TIMESTAMPS[to]) order[STATUS_TIMESTAMPS[to]] = at;
+  order.statusHistory = Array.isArray(order.statusHistory) ? order.statusHistory : [];
+  order.statusHistory.push({ status: to, at, by: by || 'system', note: note || '' });
+  return null;
+}
+
+module.exports = {
+  STATUS_LABELS,
+  TRANSITIONS,
+  OPEN_STATUSES,
+  isValidStatus,
+  canTransition,
+  canCancel,
+  applyStatus
+};
@@ -0,0 +1,200 @@
+// Cash payments.
+// Everything is paid in cash at pickup, so an order's payment is a log of cash handed over:
+//   order.payment = { status, pledged, pledgedAt, received, changeGiven,
+//                     collections: [{ at, by, received, changeGiven, note }] }
+// received/changeGiven are the running totals of the collections. A refund (money handed back
+// for a canceled order) is a collection with nothing received and the refund as changeGiven.
+// pledged is what the buyer said they would bring (from the day-before reminder).
+// Orders placed before payments were tracked have no payment field; paymentOf() fills it in.
+
+const STATUS_LABELS = {
+  unpaid: 'Unpaid',
+  partial: 'Partly paid',
+  paid: 'Paid'
+};
+
+function cents(n) {
+  return Math.round(Number(n || 0) * 100);
+}
+
+// The order's payment record, with defaults for orders that have none yet
+function paymentOf(order) {
+  const p = order.payment || {};
+  return {
+    status: p.status || 'unpaid',
+    pledged: p.pledged === undefined ? null : p.pledged,
+    pledgedAt: p.pledgedAt || null,
+    received: Number(p.received || 0),
+    changeGiven: Number(p.changeGiven || 0),
+    collections: Array.isArray(p.collections) ? p.collections : []
+  };
+}
+
+// What the buyer owes in total: the order amount, or nothing once it is canceled
+function amountDue(order) {
+  return order.status === 'canceled' ? 0 : Number(order.amount || 0);
+}
+
+// { due, paid (cash kept), balance (still owed; negative = owed back to the buyer) }
+function balanceOf(order) {
+  const p = paymentOf(order);
+  const paid = cents(p.received) - cents(p.changeGiven);
+  const due = cents(amountDue(order));
+  return { due: due / 100, paid: paid / 100, balance: (due - paid) / 100 };
+}
+
+function statusFor(order, payment) {
+  const paid = cents(payment.received) - cents(payment.changeGiven);
+  if (paid <= 0) return 'unpaid';
+  return paid >= cents(order.amount) ? 'paid' : 'partial';
+}
+
+function money(raw, label) {
+  if (raw === undefined || raw === null || raw === '') return { value: 0 };
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) return { error: `${label} must be a number of at least 0` };
+  return { value: cents(n) / 100 };
+}
+
+// Validates and applies a pledge to the order (no persistence). Returns an error string or null.
+function applyPledge(order, rawAmount) {
+  const amount = money(rawAmount, 'Amount');
+  if (amount.error) return amount.error;
+  if (order.status === 'canceled') return 'Order is canceled';
+  const payment = paymentOf(order);
+  payment.pledged = rawAmount === null || rawAmount === '' ? null : amount.value;
+  payment.pledgedAt = payment.pledged === null ? null : new Date().toISOString();
+  order.payment = payment;
+  return null;
+}
+
+// Records cash handed over for the order (no persistence): { received, changeGiven?, note? }.
+// When changeGiven is left out it is whatever the buyer paid beyond the balance. More than the
+// balance can't be kept, so refunds are only possible while the buyer is owed money.
+// Returns an error string or null.
+function applyCollection(order, raw, by) {
+  const body = raw || {};
+  const received = money(body.received, 'Amount received');
+  if (received.error) return received.error;
+  const owed = cents(balanceOf(order).balance);
+  const autoChange = body.changeGiven === undefined || body.changeGiven === null || body.changeGiven === '';
+  const change = autoChange ? { value: Math.max(0, cents(received.value) - Math.max(owed, 0)) / 100 } : money(body.changeGiven, 'Change');
+  if (change.error) return change.error;
+  if (!received.value && !change.value) return 'Enter the amount received (or refunded as change)';
+  if (received.value && owed <= 0) return 'Nothing is owed on this order';
+  const kept = cents(received.value) - cents(change.value);
+  if (kept > owed) {
+    return owed > 0
+      ? `Only $${(owed / 100).toFixed(2)} is owed; give the rest back as change`
+      : 'Nothing is owed on this order';
+  }
+  if (kept < 0 && -kept > -owed) return `At most $${(Math.max(-owed, 0) / 100).toFixed(2)} can be refunded`;
+
+  const payment = paymentOf(order);
+  payment.collections = payment.collections.concat({
+    at: new Date().toISOString(),
+    by: by || 'system',
+    received: received.value,
+    changeGiven: change.value,
+    note: String(body.note || '').trim().slice(0, 200)
+  });
+  payment.received = (cents(payment.received) + cents(received.value)) / 100;
+  payment.changeGiven = (cents(payment.changeGiven) + cents(change.value)) / 100;
+  payment.status = statusFor(order, payment);
+  order.payment = payment;
+  return null;
+}
+
+// 'YYYY-MM-DD' in the server's local time (the school's day)
+function localDay(iso) {
+  const d = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// When and by whom the order was handed over (its first picked_up/completed entry), or null
+function handover(order) {
+  const entry = (order.statusHistory || []).find(h => h.status === 'picked_up' || h.status === 'completed');
+  return entry ? { at: entry.at, by: entry.by } : null;
+}
+
+function buyerKey(order) {
+  const username = String(order.username || 'guest');
+  return username.toLowerCase() === 'guest' ? `guest:${order.buyerName || ''}` : username.toLowerCase();
+}
+
+// Cash drawer report over days from..to ('YYYY-MM-DD', inclusive, either may be null).
+// expected: what orders handed over that day (by that employee) cost; collected: cash kept
+// (received minus change) recorded that day (by that employee). outstanding lists every buyer
+// who still owes money for orders they already have, or is owed a refund, regardless of dates.
+function cashReport(orders, { from = null, to = null } = {}) {
+  const inRange = day => (!from || day >= from) && (!to || day <= to);
+  const days = new Map();
+  const employees = new Map();
+  const tally = (map, key, make) => {
+    if (!map.has(key)) map.set(key, { ...make(), expected: 0, collected: 0 });
+    return map.get(key);
+  };
+  const add = (day, username, field, amount) => {
+    const row = tally(days, day, () => ({ date: day, employees: new Map() }));
+    row[field] += amount;
+    tally(row.employees, username, () => ({ username }))[field] += amount;
+    tally(employees, username, () => ({ username }))[field] += amount;
+  };
+  const buyers = new Map();
+
+  orders.forEach(order => {
+    const given = handover(order);
+    if (given && order.status !== 'canceled' && inRange(localDay(given.at))) {
+      add(localDay(given.at), given.by, 'expected', cents(order.amount));
+    }
+    paymentOf(order).collections.forEach(c => {
+      if (inRange(localDay(c.at))) add(localDay(c.at), c.by, 'collected', cents(c.received) - cents(c.changeGiven));
+    });
+    const { due, paid, balance } = balanceOf(order);
+    if (!balance || (balance > 0 && !given)) return;
+    const key = buyerKey(order);
+    if (!buyers.has(key)) {
+      buyers.set(key, { username: order.username || 'guest', buyerName: order.buyerName || order.username || 'guest', balance: 0, orders: [] });
+    }
+    const buyer = buyers.get(key);
+    buyer.balance += cents(balance);
+    buyer.orders.push({ id: order.id, status: order.status, due, paid, balance });
+  });
+
+  const dollars = row => ({
+    expected: row.expected / 100,
+    collected: row.collected / 100,
+    difference: (row.collected - row.expected) / 100
+  });
+  const employeeRows = map => Array.from(map.values())
+    .sort((a, b) => a.username.localeCompare(b.username))
+    .map(e => ({ username: e.username, ...dollars(e) }));
+  const dayRows = Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date))
+    .map(d => ({ date: d.date, ...dollars(d), employees: employeeRows(d.employees) }));
+  const totals = dayRows.reduce((t, d) => ({ expected: t.expected + cents(d.expected), collected: t.collected + cents(d.collected) }),
+    { expected: 0, collected: 0 });
+  return {
+    from,
+    to,
+    days: dayRows,
+    employees: employeeRows(employees),
+    totals: dollars(totals),
+    outstanding: Array.from(buyers.values())
+      .map(b => ({ ...b, balance: b.balance / 100 }))
+      .sort((a, b) => b.balance - a.balance)
+  };
+}
+
+module.exports = {
+  STATUS_LABELS,
+  cents,
+  paymentOf,
+  amountDue,
+  balanceOf,
+  applyPledge,
+  applyCollection,
+  localDay,
+  handover,
+  cashReport
+};
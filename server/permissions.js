@@ -0,0 +1,150 @@
+// Role / permission model.
+// Accounts carry a list of role names (acc.roles). Each role grants a set of
+// capabilities; '*' grants everything. Built-in roles live here, custom roles
+// are stored in data.roles as { name, description, permissions, createdAt }.
+
+// Every capability the server checks, with a short label for the admin UI.
+const PERMISSIONS = {
+  'items.manage': 'Create, edit and take down items',
+  'stock.update': 'Change item stock levels',
+  'stock.count': 'Enter stock counts from the employee workspace',
+  'orders.view': 'See every order',
+  'orders.manage': 'Schedule and cancel any order, and manage pickup slots',
+  'promotions.manage': 'Create and edit promotions and discount codes',
+  'commissions.manage': 'Quote and track commission requests',
+  'payments.collect': 'Record cash received at pickup',
+  'payments.report': 'See the cash drawer report and outstanding balances',
+  'feedback.manage': 'Triage feedback and reply to submitters',
+  'reviews.moderate': 'Hide, delete and respond to item reviews',
+  'fulfillment': 'Use the employee workspace',
+  'accounts.manage': 'List accounts, reset passwords, disable accounts and clear lockouts',
+  'roles.manage': 'Create roles and grant/revoke them',
+  'audit.view': 'See the audit log of staff actions'
+};
+
+const BUILT_IN_ROLES = [
+  { name: 'admin', description: 'Full access', permissions: ['*'], builtIn: true },
+  { name: 'employee', description: 'Staff fulfilling orders', permissions: ['orders.view', 'fulfillment', 'payments.collect', 'stock.count'], builtIn: true },
+  { name: 'customer', description: 'Regular shopper', permissions: [], builtIn: true }
+];
+
+// Capabilities required by each /api/admin/* route ("METHOD /path" relative to /api/admin).
+// Routes missing from this table are refused, so new admin routes must be listed here.
+const ROUTE_PERMISSIONS = {
+  'POST /update-stock': ['stock.update'],
+  'GET /stock-history': ['stock.update'],
+  'GET /stock-reconcile': ['stock.update'],
+  'GET /order-stats': ['orders.view'],
+  'POST /update-arrival': ['orders.manage'],
+  'POST /order-status': ['orders.manage'],
+  'POST /record-payment': ['payments.collect'],
+  'GET /cash-report': ['payments.report'],
+  'GET /pickup-slots': ['orders.manage'],
+  'POST /save-pickup-slot': ['orders.manage'],
+  'POST /delete-pickup-slot': ['orders.manage'],
+  'POST /assign-slots': ['orders.manage'],
+  'POST /create-item': ['items.manage'],
+  'GET /items': ['items.manage'],
+  'POST /update-item': ['items.manage'],
+  'POST /item-options': ['items.manage'],
+  'POST /update-variant': ['items.manage'],
+  'GET /price-history': ['items.manage'],
+  'POST /save-category': ['items.manage'],
+  'POST /delete-category': ['items.manage'],
+  'POST /takedown-item': ['items.manage'],
+  'GET /commissions': ['commissions.manage'],
+  'POST /commission-quote': ['commissions.manage'],
+  'POST /commission-status': ['commissions.manage'],
+  'GET /feedback': ['feedback.manage'],
+  'POST /feedback-update': ['feedback.manage'],
+  'POST /feedback-reply': ['feedback.manage'],
+  'GET /reviews': ['reviews.moderate'],
+  'POST /review-visibility': ['reviews.moderate'],
+  'POST /review-response': ['reviews.moderate'],
+  'POST /delete-review': ['reviews.moderate'],
+  'GET /promotions': ['promotions.manage'],
+  'POST /save-promotion': ['promotions.manage'],
+  'POST /delete-promotion': ['promotions.manage'],
+  'GET /accounts': ['accounts.manage'],
+  'POST /reset-password': ['accounts.manage'],
+  'POST /disable-account': ['accounts.manage'],
+  'GET /lockouts': ['accounts.manage'],
+  'POST /clear-lockout': ['accounts.manage'],
+  'GET /roles': ['roles.manage'],
+  'POST /save-role': ['roles.manage'],
+  'POST /delete-role': ['roles.manage'],
+  'POST /grant-role': ['roles.manage'],
+  'POST /revoke-role': ['roles.manage'],
+  'GET /audit-log': ['audit.view']
+};
+
+// Same for the employee workspace routes (relative to /api/employee)
+const EMPLOYEE_ROUTE_PERMISSIONS = {
+  'GET /pickups': ['fulfillment'],
+  'POST /packing': ['fulfillment'],
+  'POST /order-status': ['fulfillment'],
+  'GET /stock': ['fulfillment', 'stock.count'],
+  'POST /stock-count': ['fulfillment', 'stock.count']
+};
+
+const ROLE_NAME_RE = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Capabilities that let their holder hand out access; only admins may grant or revoke roles
+// carrying them (the admin role itself grants '*')
+const ADMIN_ONLY_PERMISSIONS = ['*', 'roles.manage', 'accounts.manage'];
+
+function allRoles(customRoles) {
+  return BUILT_IN_ROLES.concat((customRoles || []).map(r => ({ ...r, builtIn: false })));
+}
+
+function findRole(name, customRoles) {
+  if (!name) return null;
+  const key = String(name).toLowerCase();
+  return allRoles(customRoles).find(r => r.name === key) || null;
+}
+
+// Flattened capability list for an account (unknown roles grant nothing)
+function permissionsFor(acc, customRoles) {
+  const perms = new Set();
+  ((acc && acc.roles) || []).forEach(name => {
+    const role = findRole(name, customRoles);
+    if (role) role.permissions.forEach(p => perms.add(p));
+  });
+  return Array.from(perms);
+}
+
+function hasPermission(acc, permission, customRoles) {
+  const perms = permissionsFor(acc, customRoles);
+  return perms.includes('*') || perms.includes(permission);
+}
+
+function hasRole(acc, name) {
+  return !!(acc && Array.isArray(acc.roles) && acc.roles.includes(name));
+}
+
+// Whether only admins may hand out (or take away) a role with these capabilities
+function isAdminOnly(perms) {
+  return (perms || []).some(p => ADMIN_ONLY_PERMISSIONS.includes(p));
+}
+
+// Roles for accounts created before the role model (isAdmin flag / role: 'employee')
+function legacyRoles(acc) {
+  if (acc.isAdmin || (acc.username && acc.username.toLowerCase() === 'admin')) return ['admin'];
+  if (acc.role === 'employee') return ['employee'];
+  return ['customer'];
+}
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  ROUTE_PERMISSIONS,
+  EMPLOYEE_ROUTE_PERMISSIONS,
+  ROLE_NAME_RE,
+  allRoles,
+  findRole,
+  permissionsFor,
+  hasPermission,
+  hasRole,
+  isAdminOnly,
+  legacyRoles
+};
@@ -0,0 +1,76 @@
+// Pickup slots.
+// Admins publish the times and places orders can be picked up, stored in store.pickupSlots as
+//   { id, date: 'YYYY-MM-DD', startTime: 'HH:MM', endTime: 'HH:MM', location, capacity, createdAt, updatedAt }
+// Times are the school's local time, like order arrivalDate. An order booked into a slot
+// carries a copy of it as order.pickup = { slotId, date, startTime, endTime, location } and
+// arrivalDate = the slot's start, so order views and reminders don't need the slot list.
+// slotId is null once the slot is deleted (only closed orders can be left in one).
+// Capacity counts the slot's open orders; the caller does the counting.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_CAPACITY = 500;
+
+// Whether 'YYYY-MM-DD' is a real calendar day (Date would roll 2030-02-31 over to March 3)
+function isCalendarDate(date) {
+  if (!DATE_RE.test(date)) return false;
+  const [year, month, day] = date.split('-').map(Number);
+  const parsed = new Date(`${date}T00:00`);
+  return parsed.getFullYear() === year && parsed.getMonth() === month - 1 && parsed.getDate() === day;
+}
+
+// Validates an admin's slot fields; returns { slot } (without id/timestamps) or { error }
+function normalizeSlot(raw) {
+  const body = raw || {};
+  const date = String(body.date || '');
+  if (!isCalendarDate(date)) return { error: 'Date must be a real date (YYYY-MM-DD)' };
+  const startTime = String(body.startTime || '');
+  const endTime = String(body.endTime || '');
+  if (!TIME_RE.test(startTime) || !TIME_RE.test(endTime)) return { error: 'Times must be HH:MM' };
+  if (endTime <= startTime) return { error: 'The slot must end after it starts' };
+  const location = String(body.location || '').trim();
+  if (!location || location.length > 60) return { error: 'Location required (up to 60 characters)' };
+  const capacity = Number(body.capacity);
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+    return { error: `Max orders must be 1 to ${MAX_CAPACITY}` };
+  }
+  return { slot: { date, startTime, endTime, location, capacity } };
+}
+
+function slotStart(slot) {
+  return new Date(`${slot.date}T${slot.startTime}`);
+}
+
+function slotEnd(slot) {
+  return new Date(`${slot.date}T${slot.endTime}`);
+}
+
+// Slots can be booked until they end
+function isOver(slot, now = new Date()) {
+  return slotEnd(slot) <= now;
+}
+
+// The copy stored on orders
+function pickupFor(slot) {
+  return { slotId: slot.id, date: slot.date, startTime: slot.startTime, endTime: slot.endTime, location: slot.location };
+}
+
+// "2025-10-20 12:00-12:30 at Room 204"
+function slotLabel(slot) {
+  return `${slot.date} ${slot.startTime}-${slot.endTime} at ${slot.location}`;
+}
+
+// Chronological order
+function compareSlots(a, b) {
+  return `${a.date}T${a.startTime}`.localeCompare(`${b.date}T${b.startTime}`) || a.id - b.id;
+}
+
+module.exports = {
+  normalizeSlot,
+  slotStart,
+  slotEnd,
+  isOver,
+  pickupFor,
+  slotLabel,
+  compareSlots
+};
@@ -0,0 +1,184 @@
+// Promotions and discount codes.
+// Stored in store.promotions as
+//   { id, name, code (null = applied automatically), type, value, buyQuantity, getQuantity,
+//     categoryId (null = every item), days ([0-6], empty = every day), startsAt, endsAt,
+//     maxUses, maxUsesPerAccount (null = unlimited), active, createdAt, updatedAt }
+// Types:
+//   percent      value % off every eligible line
+//   fixed        value dollars off the eligible lines together
+//   buy_x_get_y  of every buyQuantity + getQuantity eligible units, the getQuantity cheapest are free
+//   multi_buy    every buyQuantity eligible units cost value dollars together ("2 snacks for $1.50")
+// Usage limits are checked by the caller (they depend on the orders); this module only
+// validates promotions and works out discounts.
+
+const TYPES = {
+  percent: 'Percent off',
+  fixed: 'Amount off',
+  buy_x_get_y: 'Buy X get Y free',
+  multi_buy: 'Multi-buy price'
+};
+const CODE_RE = /^[A-Z0-9][A-Z0-9_-]{2,23}$/;
+
+function optionalCount(raw, label) {
+  if (raw === undefined || raw === null || raw === '') return { value: null };
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1) return { error: `${label} must be a whole number of at least 1` };
+  return { value: n };
+}
+
+function optionalDate(raw, label) {
+  if (raw === undefined || raw === null || raw === '') return { value: null };
+  const d = new Date(raw);
+  if (Number.isNaN(d.getTime())) return { error: `${label} is not a valid date` };
+  return { value: d.toISOString() };
+}
+
+// Validates an admin's promotion fields; returns { promotion } (without id/timestamps) or { error }
+function normalizePromotion(raw) {
+  const body = raw || {};
+  const name = String(body.name || '').trim();
+  if (!name || name.length > 60) return { error: 'Promotion name required (up to 60 characters)' };
+  const type = String(body.type || '');
+  if (!TYPES[type]) return { error: `Unknown promotion type: ${type}` };
+
+  const code = body.code ? String(body.code).trim().toUpperCase() : null;
+  if (code && !CODE_RE.test(code)) return { error: 'Codes are 3-24 letters, digits, dashes or underscores' };
+
+  const value = Number(body.value);
+  if (type !== 'buy_x_get_y') {
+    if (!Number.isFinite(value) || value <= 0) return { error: 'Value must be a number above 0' };
+    if (type === 'percent' && value > 100) return { error: 'A percentage can be at most 100' };
+  }
+  let buyQuantity = null;
+  let getQuantity = null;
+  if (type === 'buy_x_get_y' || type === 'multi_buy') {
+    const buy = optionalCount(body.buyQuantity, 'Buy quantity');
+    if (buy.error || !buy.value) return { error: buy.error || 'Buy quantity required' };
+    buyQuantity = buy.value;
+  }
+  if (type === 'buy_x_get_y') {
+    const get = optionalCount(body.getQuantity, 'Free quantity');
+    if (get.error || !get.value) return { error: get.error || 'Free quantity required' };
+    getQuantity = get.value;
+  }
+  if (type === 'multi_buy' && buyQuantity < 2) return { error: 'A multi-buy needs at least 2 units' };
+
+  const categoryId = body.categoryId === undefined || body.categoryId === null || body.categoryId === ''
+    ? null : Number(body.categoryId);
+  const days = Array.from(new Set((Array.isArray(body.days) ? body.days : []).map(Number)));
+  if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return { error: 'Days are 0 (Sunday) to 6 (Saturday)' };
+  const startsAt = optionalDate(body.startsAt, 'Start');
+  const endsAt = optionalDate(body.endsAt, 'End');
+  if (startsAt.error || endsAt.error) return { error: startsAt.error || endsAt.error };
+  if (startsAt.value && endsAt.value && endsAt.value <= startsAt.value) return { error: 'End must be after start' };
+  const maxUses = optionalCount(body.maxUses, 'Total uses');
+  const maxUsesPerAccount = optionalCount(body.maxUsesPerAccount, 'Uses per account');
+  if (maxUses.error || maxUsesPerAccount.error) return { error: maxUses.error || maxUsesPerAccount.error };
+
+  return {
+    promotion: {
+      name,
+      code,
+      type,
+      value: type === 'buy_x_get_y' ? null : +value.toFixed(2),
+      buyQuantity,
+      getQuantity,
+      categoryId,
+      days: days.sort(),
+      startsAt: startsAt.value,
+      endsAt: endsAt.value,
+      maxUses: maxUses.value,
+      maxUsesPerAccount: maxUsesPerAccount.value,
+      active: body.active === undefined ? true : body.active === true || body.active === 'true'
+    }
+  };
+}
+
+// Whether the promotion's dates and weekdays allow it at `now` (a Date, server local time)
+function isRunning(promo, now = new Date()) {
+  if (promo.active === false) return false;
+  if (promo.startsAt && now < new Date(promo.startsAt)) return false;
+  if (promo.endsAt && now > new Date(promo.endsAt)) return false;
+  if (promo.days && promo.days.length && !promo.days.includes(now.getDay())) return false;
+  return true;
+}
+
+// Splits whole cents across weights (largest remainder), so the parts add up exactly
+function allocate(cents, weights) {
+  const total = weights.reduce((a, b) => a + b, 0);
+  if (!total || !cents) return weights.map(() => 0);
+  const raw = weights.map(w => cents * w / total);
+  const parts = raw.map(Math.floor);
+  let rest = cents - parts.reduce((a, b) => a + b, 0);
+  raw.map((r, i) => [r - parts[i], i]).sort((a, b) => b[0] - a[0]).forEach(([, i]) => {
+    if (rest > 0) { parts[i] += 1; rest -= 1; }
+  });
+  return parts;
+}
+
+// Discount in cents per line for one promotion, given what is left of each line (cents)
+function promotionCents(promo, lines, left) {
+  const eligible = lines.map((l, i) => (promo.categoryId === null || promo.categoryId === undefined ||
+    l.categoryId === promo.categoryId) && left[i] > 0);
+  const cents = lines.map(() => 0);
+  if (promo.type === 'percent') {
+    lines.forEach((l, i) => { if (eligible[i]) cents[i] = Math.round(left[i] * promo.value / 100); });
+    return cents;
+  }
+  if (promo.type === 'fixed') {
+    const pool = left.reduce((sum, c, i) => sum + (eligible[i] ? c : 0), 0);
+    return allocate(Math.min(Math.round(promo.value * 100), pool), left.map((c, i) => (eligible[i] ? c : 0)));
+  }
+  // unit-based types: most expensive units first, in groups
+  const units = [];
+  lines.forEach((l, i) => {
+    if (!eligible[i]) return;
+    for (let u = 0; u < l.quantity; u++) units.push({ line: i, cents: left[i] / l.quantity });
+  });
+  units.sort((a, b) => b.cents - a.cents);
+  const size = promo.type === 'buy_x_get_y' ? promo.buyQuantity + promo.getQuantity : promo.buyQuantity;
+  const exact = lines.map(() => 0);
+  for (let start = 0; start + size <= units.length; start += size) {
+    const group = units.slice(start, start + size);
+    if (promo.type === 'buy_x_get_y') {
+      group.slice(promo.buyQuantity).forEach(u => { exact[u.line] += u.cents; });
+    } else {
+      const groupCents = group.reduce((sum, u) => sum + u.cents, 0);
+      const off = Math.max(0, groupCents - Math.round(promo.value * 100));
+      group.forEach(u => { exact[u.line] += off * u.cents / groupCents; });
+    }
+  }
+  return exact.map((c, i) => Math.min(left[i], Math.round(c)));
+}
+
+// Applies promotions in the order given to lines [{ categoryId, quantity, amount }].
+// Each promotion discounts what the previous ones left, so no line goes below zero.
+// Returns { subtotal, discount, amount, lineDiscounts, discounts: [{ promotionId, name, code, amount }] }
+// where discounts only lists promotions that took something off.
+function applyPromotions(lines, promotions) {
+  const left = lines.map(l => Math.round(Number(l.amount) * 100));
+  const subtotalCents = left.reduce((a, b) => a + b, 0);
+  const discounts = [];
+  promotions.forEach(promo => {
+    const cents = promotionCents(promo, lines, left);
+    const total = cents.reduce((a, b) => a + b, 0);
+    if (!total) return;
+    cents.forEach((c, i) => { left[i] -= c; });
+    discounts.push({ promotionId: promo.id, name: promo.name, code: promo.code || null, amount: total / 100 });
+  });
+  const amountCents = left.reduce((a, b) => a + b, 0);
+  return {
+    subtotal: subtotalCents / 100,
+    discount: (subtotalCents - amountCents) / 100,
+    amount: amountCents / 100,
+    lineDiscounts: lines.map((l, i) => (Math.round(Number(l.amount) * 100) - left[i]) / 100),
+    discounts
+  };
+}
+
+module.exports = {
+  TYPES,
+  normalizePromotion,
+  isRunning,
+  applyPromotions
+};
@@ -0,0 +1,117 @@
+// Rate limits and lockouts, kept in memory (they reset when the server restarts).
+//
+// createLockout() counts failures per key (a username or an IP). Once a key reaches `threshold`
+// failures it is locked for baseMs, and every further failure doubles the lock up to maxMs.
+// A success clears the key; keys with no failure for forgetMs are forgotten.
+//
+// createRateLimit() allows `max` hits per key in a rolling window of windowMs.
+//
+// Both return waits in milliseconds (0 = go ahead) and can list and clear their keys for the
+// admin panel.
+
+function createLockout({ threshold, baseMs, maxMs, forgetMs }) {
+  const entries = new Map();
+
+  function current(key, now) {
+    const entry = entries.get(key);
+    if (entry && now - entry.lastFailureAt > forgetMs && entry.lockedUntil <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    // How long the key is still locked
+    retryAfter(key, now = Date.now()) {
+      const entry = current(key, now);
+      return entry ? Math.max(0, entry.lockedUntil - now) : 0;
+    },
+    // Records a failure; returns how long the key is now locked
+    fail(key, now = Date.now()) {
+      const entry = current(key, now) || { failures: 0, lockedUntil: 0, lastFailureAt: now };
+      entry.failures += 1;
+      entry.lastFailureAt = now;
+      if (entry.failures >= threshold) {
+        entry.lockedUntil = now + Math.min(maxMs, baseMs * 2 ** (entry.failures - threshold));
+      }
+      entries.set(key, entry);
+      return Math.max(0, entry.lockedUntil - now);
+    },
+    succeed(key) {
+      entries.delete(key);
+    },
+    clear(key) {
+      return entries.delete(key);
+    },
+    // Forgets keys that no longer matter (call now and then so the map doesn't grow)
+    prune(now = Date.now()) {
+      Array.from(entries.keys()).forEach(key => current(key, now));
+    },
+    list(now = Date.now()) {
+      return Array.from(entries.keys())
+        .map(key => [key, current(key, now)])
+        .filter(([, entry]) => entry)
+        .map(([key, entry]) => ({
+          key,
+          failures: entry.failures,
+          lockedUntil: entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null,
+          retryAfter: Math.max(0, entry.lockedUntil - now)
+        }));
+    }
+  };
+}
+
+function createRateLimit({ windowMs, max }) {
+  const hits = new Map();
+
+  function recent(key, now) {
+    const list = (hits.get(key) || []).filter(at => now - at < windowMs);
+    if (list.length) hits.set(key, list);
+    else hits.delete(key);
+    return list;
+  }
+
+  return {
+    // Counts the hit when it is allowed; returns how long to wait when it isn't
+    hit(key, now = Date.now()) {
+      const list = recent(key, now);
+      if (list.length >= max) return list[0] + windowMs - now;
+      hits.set(key, list.concat(now));
+      return 0;
+    },
+    clear(key) {
+      return hits.delete(key);
+    },
+    prune(now = Date.now()) {
+      Array.from(hits.keys()).forEach(key => recent(key, now));
+    },
+    list(now = Date.now()) {
+      return Array.from(hits.keys())
+        .map(key => [key, recent(key, now)])
+        .filter(([, list]) => list.length)
+        .map(([key, list]) => ({
+          key,
+          failures: list.length,
+          lockedUntil: list.length >= max ? new Date(list[0] + windowMs).toISOString() : null,
+          retryAfter: list.length >= max ? list[0] + windowMs - now : 0
+        }));
+    }
+  };
+}
+
+// "30 seconds", "5 minutes", "2 hours"
+function waitText(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  createLockout,
+  createRateLimit,
+  waitText
+};
@@ -0,0 +1,54 @@
+// Item reviews.
+// Accounts with an order for the item that wasn't canceled can rate it (1-5 stars) with an
+// optional comment; one review per account and item, posting again edits it. Stored in
+// store.reviews as
+//   { id, itemId, username, name, rating, body, hidden, hiddenBy, hiddenReason,
+//     response: { text, by, at } | null, createdAt, updatedAt }
+// Hidden reviews are only shown to staff and their author, and don't count towards the
+// item's aggregate, which is kept on the item as item.rating = { average, count } so it
+// travels with /api/items and item events.
+
+const BODY_LIMIT = 1000;
+const RESPONSE_LIMIT = 1000;
+
+// Validates a review; returns { review: { rating, body } } or { error }
+function normalizeReview(raw) {
+  const body = raw || {};
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) return { error: 'Rating must be 1 to 5 stars' };
+  const text = String(body.body || '').trim();
+  if (text.length > BODY_LIMIT) return { error: `Reviews can be at most ${BODY_LIMIT} characters` };
+  return { review: { rating, body: text } };
+}
+
+// Trimmed staff response ('' clears it), or { error }
+function normalizeResponse(raw) {
+  const text = String(raw || '').trim();
+  if (text.length > RESPONSE_LIMIT) return { error: `Responses can be at most ${RESPONSE_LIMIT} characters` };
+  return { text };
+}
+
+// { average (one decimal, null without reviews), count, stars: { 1: n, ..., 5: n } } over visible reviews
+function summarize(reviews) {
+  const visible = reviews.filter(r => !r.hidden);
+  const stars = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  visible.forEach(r => { stars[r.rating] += 1; });
+  const total = visible.reduce((sum, r) => sum + r.rating, 0);
+  return {
+    average: visible.length ? Math.round((total / visible.length) * 10) / 10 : null,
+    count: visible.length,
+    stars
+  };
+}
+
+// Whether the order lets its buyer review the item (bundles count for the bundle itself)
+function ordered(order, itemId) {
+  return order.status !== 'canceled' && (order.lines || []).some(l => Number(l.itemId) === Number(itemId));
+}
+
+module.exports = {
+  normalizeReview,
+  normalizeResponse,
+  summarize,
+  ordered
+};
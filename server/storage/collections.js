@@ -0,0 +1,21 @@
+// Collections every storage backend provides.
+// key: field used by get()/update()/remove(); ignoreCase for usernames; autoId assigns numeric ids
+const COLLECTIONS = {
+  accounts: { key: 'username', ignoreCase: true },
+  items: { key: 'id', autoId: true },
+  orders: { key: 'id', autoId: true },
+  sessions: { key: 'id' },
+  roles: { key: 'name' },
+  stockMovements: { key: 'id', autoId: true },
+  priceChanges: { key: 'id', autoId: true },
+  categories: { key: 'id', autoId: true },
+  promotions: { key: 'id', autoId: true },
+  commissions: { key: 'id', autoId: true },
+  pickupSlots: { key: 'id', autoId: true },
+  notifications: { key: 'id', autoId: true },
+  feedback: { key: 'id', autoId: true },
+  reviews: { key: 'id', autoId: true },
+  auditLog: { key: 'id', autoId: true }
+};
+
+module.exports = { COLLECTIONS };
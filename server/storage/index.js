@@ -0,0 +1,45 @@
+const path = require('path');
+const { COLLECTIONS } = require('./collections');
+
+// Storage adapter selection.
+//
+// Every backend returns a store with the same shape:
+//   store.backend                 'json' | 'sqlite'
+//   store.transaction(fn)         runs fn synchronously and atomically; a throw rolls back
+//   store.flush() / store.close() resolve once pending writes are durable
+//   store.<collection>            one per entry in COLLECTIONS, each with
+//     all(), get(key), find(pred), filter(pred), count(pred?), nextId(),
+//     insert(doc), update(doc), remove(key), removeWhere(pred)
+// Documents handed out are copies: change them, then call update(doc) to save.
+//
+// The backend is chosen with STORAGE=json (default) or STORAGE=sqlite.
+// DATA_PATH / SQLITE_PATH override the file locations.
+
+const DEFAULT_JSON_PATH = path.join(__dirname, '..', 'data.json');
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', 'data.sqlite');
+
+function createStore(options = {}) {
+  const backend = options.backend || process.env.STORAGE || 'json';
+  if (backend === 'json') {
+    const { createJsonStore } = require('./json');
+    return createJsonStore(options.jsonPath || process.env.DATA_PATH || DEFAULT_JSON_PATH);
+  }
+  if (backend === 'sqlite') {
+    // required lazily so the JSON backend works without the native module, which is an
+    // optional dependency (its install may fail where it can't be built)
+    let sqlite;
+    try {
+      sqlite = require('./sqlite');
+    } catch (err) {
+      if (err.code === 'MODULE_NOT_FOUND' && /better-sqlite3/.test(err.message)) {
+        throw new Error('STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+      }
+      throw err;
+    }
+    const { createSqliteStore } = sqlite;
+    return createSqliteStore(options.sqlitePath || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH);
+  }
+  throw new Error(`Unknown STORAGE backend "${backend}" (expected json or sqlite)`);
+}
+
+module.exports = { createStore, COLLECTIONS, DEFAULT_JSON_PATH, DEFAULT_SQLITE_PATH };
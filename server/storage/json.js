@@ -0,0 +1,181 @@
+const fs = require('fs');
+const { COLLECTIONS } = require('./collections');
+
+// JSON file backend (data.json).
+// - The whole file is parsed once at startup and kept in memory; reads never touch the disk.
+// - Every mutation updates the in-memory copy synchronously and queues a write. Only one
+//   write runs at a time; mutations made while it runs are coalesced into the next one.
+// - Writes go to a temp file that is then renamed over data.json, so a crash mid-write
+//   leaves the previous file intact.
+// - transaction(fn) runs fn synchronously; if it throws, every change it made is undone.
+//   Nested calls behave like savepoints: a throw undoes only the inner call's changes.
+
+function clone(doc) {
+  return doc === undefined ? undefined : JSON.parse(JSON.stringify(doc));
+}
+
+function readDataFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      console.log(`${filePath} not found; starting with empty data.`);
+      return {};
+    }
+    // refuse to start rather than overwrite a file we could not parse
+    throw new Error(`Failed to read ${filePath}: ${e.message}`);
+  }
+}
+
+function createJsonStore(filePath) {
+  let data = readDataFile(filePath);
+  Object.keys(COLLECTIONS).forEach(name => {
+    if (!Array.isArray(data[name])) data[name] = [];
+  });
+
+  // ---- write queue ----
+  let writing = false;
+  let writeAgain = false;
+  let idleWaiters = [];
+
+  function scheduleWrite() {
+    if (writing) {
+      writeAgain = true;
+      return;
+    }
+    writing = true;
+    const tmpPath = `${filePath}.tmp`;
+    const snapshot = JSON.stringify(data, null, 2);
+    fs.promises.writeFile(tmpPath, snapshot)
+      .then(() => fs.promises.rename(tmpPath, filePath))
+      .catch(err => console.error('Failed to write data file', err))
+      .then(() => {
+        writing = false;
+        if (writeAgain) {
+          writeAgain = false;
+          scheduleWrite();
+        } else {
+          idleWaiters.forEach(resolve => resolve());
+          idleWaiters = [];
+        }
+      });
+  }
+
+  // ---- transactions ----
+  let undoLog = null; // array of undo functions while a transaction is open
+
+  function changed(undo) {
+    if (undoLog) {
+      undoLog.push(undo);
+      return;
+    }
+    scheduleWrite();
+  }
+
+  function transaction(fn) {
+    if (undoLog) {
+      // nested: part of the outer transaction, but like a SQLite savepoint its own changes are
+      // undone if it throws, even when the caller catches the error and carries on
+      const mark = undoLog.length;
+      try {
+        return fn();
+      } catch (e) {
+        undoLog.splice(mark).reverse().forEach(undo => undo());
+        throw e;
+      }
+    }
+    undoLog = [];
+    try {
+      const result = fn();
+      const dirty = undoLog.length > 0;
+      undoLog = null;
+      if (dirty) scheduleWrite();
+      return result;
+    } catch (e) {
+      const log = undoLog;
+      undoLog = null;
+      log.reverse().forEach(undo => undo());
+      throw e;
+    }
+  }
+
+  // ---- collections ----
+  function collection(name) {
+    const { key, ignoreCase, autoId } = COLLECTIONS[name];
+    const list = () => data[name];
+    const norm = v => (ignoreCase && typeof v === 'string' ? v.toLowerCase() : v);
+    const indexOf = k => {
+      if (k === undefined || k === null) return -1;
+      return list().findIndex(d => norm(d[key]) === norm(k));
+    };
+
+    return {
+      all: () => clone(list()),
+      get(k) {
+        const idx = indexOf(k);
+        return idx === -1 ? null : clone(list()[idx]);
+      },
+      find: pred => clone(list().find(pred)) || null,
+      filter: pred => clone(list().filter(pred)),
+      count: pred => (pred ? list().filter(pred).length : list().length),
+      nextId() {
+        return list().reduce((max, d) => Math.max(max, Number(d.id) || 0), 0) + 1;
+      },
+      insert(doc) {
+        const stored = clone(doc);
+        if (autoId && !stored.id) stored.id = this.nextId();
+        if (indexOf(stored[key]) !== -1) throw new Error(`Duplicate ${name} key: ${stored[key]}`);
+        list().push(stored);
+        changed(() => {
+          const idx = list().indexOf(stored);
+          if (idx !== -1) list().splice(idx, 1);
+        });
+        return clone(stored);
+      },
+      update(doc) {
+        const idx = indexOf(doc[key]);
+        if (idx === -1) throw new Error(`${name} not found: ${doc[key]}`);
+        const previous = list()[idx];
+        const stored = clone(doc);
+        list()[idx] = stored;
+        changed(() => {
+          const at = list().indexOf(stored);
+          if (at !== -1) list()[at] = previous;
+        });
+        return clone(stored);
+      },
+      remove(k) {
+        const idx = indexOf(k);
+        if (idx === -1) return false;
+        const [removed] = list().splice(idx, 1);
+        changed(() => list().splice(Math.min(idx, list().length), 0, removed));
+        return true;
+      },
+      removeWhere(pred) {
+        const before = list();
+        const kept = before.filter(d => !pred(d));
+        if (kept.length === before.length) return 0;
+        data[name] = kept;
+        changed(() => { data[name] = before; });
+        return before.length - kept.length;
+      }
+    };
+  }
+
+  const store = {
+    backend: 'json',
+    transaction,
+    // Resolves once every queued write has reached the disk
+    flush() {
+      if (!writing) return Promise.resolve();
+      return new Promise(resolve => idleWaiters.push(resolve));
+    },
+    close() {
+      return this.flush();
+    }
+  };
+  Object.keys(COLLECTIONS).forEach(name => { store[name] = collection(name); });
+  return store;
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,95 @@
+const Database = require('better-sqlite3');
+const { COLLECTIONS } = require('./collections');
+
+// SQLite backend.
+// Each collection is a table of JSON documents: (key TEXT PRIMARY KEY, doc TEXT).
+// Numeric ids are stored as their string form; rows come back in insertion order (rowid).
+// Every insert/update/remove is a single-row statement, so placing an order no longer
+// rewrites the whole data set. transaction(fn) maps onto a SQLite transaction
+// (nested calls become savepoints), so multi-row changes such as an order and its
+// stock decrement commit or roll back together.
+
+function createSqliteStore(filePath) {
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+
+  function collection(name) {
+    const { key, ignoreCase, autoId } = COLLECTIONS[name];
+    const table = `"${name}"`;
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, doc TEXT NOT NULL)`);
+
+    const stmts = {
+      all: db.prepare(`SELECT doc FROM ${table} ORDER BY rowid`),
+      get: db.prepare(`SELECT doc FROM ${table} WHERE key = ?`),
+      count: db.prepare(`SELECT COUNT(*) AS n FROM ${table}`),
+      maxId: db.prepare(`SELECT MAX(CAST(key AS INTEGER)) AS max FROM ${table}`),
+      insert: db.prepare(`INSERT INTO ${table} (key, doc) VALUES (?, ?)`),
+      update: db.prepare(`UPDATE ${table} SET doc = ? WHERE key = ?`),
+      remove: db.prepare(`DELETE FROM ${table} WHERE key = ?`)
+    };
+
+    const toKey = v => {
+      if (v === undefined || v === null) return null;
+      const k = String(v);
+      return ignoreCase ? k.toLowerCase() : k;
+    };
+    const allDocs = () => stmts.all.all().map(r => JSON.parse(r.doc));
+
+    return {
+      all: allDocs,
+      get(k) {
+        const row = toKey(k) === null ? null : stmts.get.get(toKey(k));
+        return row ? JSON.parse(row.doc) : null;
+      },
+      find: pred => allDocs().find(pred) || null,
+      filter: pred => allDocs().filter(pred),
+      count: pred => (pred ? allDocs().filter(pred).length : stmts.count.get().n),
+      nextId() {
+        return (stmts.maxId.get().max || 0) + 1;
+      },
+      insert(doc) {
+        const stored = { ...doc };
+        if (autoId && !stored.id) stored.id = this.nextId();
+        try {
+          stmts.insert.run(toKey(stored[key]), JSON.stringify(stored));
+        } catch (e) {
+          if (e.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') throw new Error(`Duplicate ${name} key: ${stored[key]}`);
+          throw e;
+        }
+        return JSON.parse(JSON.stringify(stored));
+      },
+      update(doc) {
+        const info = stmts.update.run(JSON.stringify(doc), toKey(doc[key]));
+        if (!info.changes) throw new Error(`${name} not found: ${doc[key]}`);
+        return JSON.parse(JSON.stringify(doc));
+      },
+      remove(k) {
+        return stmts.remove.run(toKey(k)).changes > 0;
+      },
+      removeWhere(pred) {
+        const doomed = allDocs().filter(pred);
+        doomed.forEach(d => stmts.remove.run(toKey(d[key])));
+        return doomed.length;
+      }
+    };
+  }
+
+  const store = {
+    backend: 'sqlite',
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+    // statements are synchronous, so there is never anything pending
+    flush() {
+      return Promise.resolve();
+    },
+    close() {
+      db.close();
+      return Promise.resolve();
+    }
+  };
+  Object.keys(COLLECTIONS).forEach(name => { store[name] = collection(name); });
+  return store;
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,86 @@
+// Item image uploads.
+// Files arrive as multipart form data (field "imageFile"), are checked by their
+// magic bytes, and are written to UPLOAD_DIR as <sha256>.<ext>, served at /uploads.
+// Identical files share a name, so an image is only deleted once no item uses it
+// (see releaseImage in index.js).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const UPLOAD_URL = '/uploads/';
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// Accepted formats, recognized by their leading bytes rather than the client's Content-Type
+const IMAGE_TYPES = [
+  { ext: 'jpg', matches: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'png', matches: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'gif', matches: b => ['GIF87a', 'GIF89a'].includes(b.slice(0, 6).toString('ascii')) },
+  { ext: 'webp', matches: b => b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+const TYPE_ERROR = 'Images must be JPEG, PNG, GIF or WebP';
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) cb(null, true);
+    else cb(new Error(TYPE_ERROR));
+  }
+});
+
+// Middleware: parses an optional single image in `field` (req.file) plus the text
+// fields (req.body). Upload problems become 400 responses instead of server errors.
+function imageUpload(field) {
+  const single = parser.single(field);
+  return (req, res, next) => {
+    single(req, res, err => {
+      if (!err) return next();
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ error: `Image must be ${MAX_IMAGE_BYTES / (1024 * 1024)} MB or smaller` });
+      }
+      res.status(400).json({ error: err.message || 'Upload failed' });
+    });
+  };
+}
+
+// Validates and stores an uploaded file; returns { url } or { error }
+function saveImage(file) {
+  if (!file || !file.buffer || !file.buffer.length) return { error: TYPE_ERROR };
+  const type = IMAGE_TYPES.find(t => t.matches(file.buffer));
+  if (!type) return { error: TYPE_ERROR };
+  const name = `${crypto.createHash('sha256').update(file.buffer).digest('hex')}.${type.ext}`;
+  const target = path.join(UPLOAD_DIR, name);
+  if (!fs.existsSync(target)) {
+    const tmp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, file.buffer);
+    fs.renameSync(tmp, target);
+  }
+  return { url: UPLOAD_URL + name };
+}
+
+function isUploadedImage(url) {
+  return typeof url === 'string' && url.startsWith(UPLOAD_URL);
+}
+
+// Deletes an uploaded image file; external URLs are ignored
+function removeImage(url) {
+  if (!isUploadedImage(url)) return;
+  const name = path.basename(url);
+  fs.unlink(path.join(UPLOAD_DIR, name), err => {
+    if (err && err.code !== 'ENOENT') console.error('Failed to remove image', name, err.message);
+  });
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_URL,
+  MAX_IMAGE_BYTES,
+  imageUpload,
+  saveImage,
+  isUploadedImage,
+  removeImage
+};
@@ -0,0 +1,98 @@
+// Item variants.
+// An item may define options, e.g. [{ name: 'Color', values: ['Red', 'Blue'] }, { name: 'Size', values: ['S', 'M'] }],
+// and then has one variant per combination of values:
+//   { id, sku, options: { Color: 'Red', Size: 'S' }, stock, price }   (price null = use item.price)
+// item.stock is kept equal to the sum of its variants' stock, so item-level views
+// (catalog, in-stock filter) keep working. Variant ids are unique within the item and never reused.
+
+const MAX_OPTIONS = 3;
+const MAX_VALUES = 10;
+const MAX_VARIANTS = 50;
+const NAME_RE = /^[^,:;]{1,24}$/;
+
+function hasVariants(item) {
+  return !!item && Array.isArray(item.variants) && item.variants.length > 0;
+}
+
+function findVariant(item, variantId) {
+  if (!hasVariants(item) || variantId === null || variantId === undefined) return null;
+  return item.variants.find(v => v.id === Number(variantId)) || null;
+}
+
+function variantLabel(variant) {
+  return variant ? Object.values(variant.options || {}).join(' / ') : '';
+}
+
+function unitPrice(item, variant) {
+  if (variant && variant.price !== null && variant.price !== undefined) return Number(variant.price);
+  return Number(item.price);
+}
+
+function totalStock(item) {
+  return item.variants.reduce((sum, v) => sum + Number(v.stock || 0), 0);
+}
+
+// Validates [{ name, values }]; returns { options } or { error }
+function normalizeOptions(raw) {
+  if (!Array.isArray(raw)) return { error: 'options must be an array of { name, values }' };
+  if (raw.length > MAX_OPTIONS) return { error: `At most ${MAX_OPTIONS} options per item` };
+  const options = [];
+  for (const opt of raw) {
+    const name = String((opt && opt.name) || '').trim();
+    const values = Array.from(new Set((Array.isArray(opt && opt.values) ? opt.values : [])
+      .map(v => String(v).trim()).filter(Boolean)));
+    if (!NAME_RE.test(name)) return { error: 'Option names are required (up to 24 characters, no , : or ;)' };
+    if (options.some(o => o.name.toLowerCase() === name.toLowerCase())) return { error: `Duplicate option: ${name}` };
+    if (!values.length || values.length > MAX_VALUES) return { error: `${name} needs 1 to ${MAX_VALUES} values` };
+    const bad = values.find(v => !NAME_RE.test(v));
+    if (bad) return { error: `Invalid value "${bad}" for ${name}` };
+    options.push({ name, values });
+  }
+  return { options };
+}
+
+function combinations(options) {
+  return options.reduce((combos, opt) => combos.flatMap(c => opt.values.map(v => ({ ...c, [opt.name]: v }))), [{}]);
+}
+
+function sameCombo(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => a[k] === b[k]);
+}
+
+function defaultSku(item, combo) {
+  const parts = Object.values(combo).map(v => v.toUpperCase().replace(/[^A-Z0-9]+/g, ''));
+  return [`ITEM${item.id}`].concat(parts).join('-');
+}
+
+// Works out the variant list for new options, keeping variants whose combination still
+// exists (with their id, sku, stock and price). Variants that would disappear must have
+// no stock and must not be on an open order (lockedIds).
+// Returns { variants } or { error }.
+function planVariants(item, options, lockedIds = new Set()) {
+  const combos = options.length ? combinations(options) : [];
+  if (combos.length > MAX_VARIANTS) return { error: `At most ${MAX_VARIANTS} variants per item` };
+  const current = hasVariants(item) ? item.variants : [];
+  let nextId = current.reduce((max, v) => Math.max(max, v.id), Number(item.lastVariantId || 0)) + 1;
+  const variants = combos.map(combo => {
+    const kept = current.find(v => sameCombo(v.options, combo));
+    if (kept) return kept;
+    return { id: nextId++, sku: defaultSku(item, combo), options: combo, stock: 0, price: null };
+  });
+  const removed = current.filter(v => !variants.includes(v));
+  const stocked = removed.find(v => Number(v.stock) > 0);
+  if (stocked) return { error: `Set the stock of ${variantLabel(stocked)} to 0 before removing it` };
+  const locked = removed.find(v => lockedIds.has(v.id));
+  if (locked) return { error: `${variantLabel(locked)} is on an open order and can't be removed` };
+  return { variants, lastVariantId: nextId - 1 };
+}
+
+module.exports = {
+  hasVariants,
+  findVariant,
+  variantLabel,
+  unitPrice,
+  totalStock,
+  normalizeOptions,
+  planVariants
+};